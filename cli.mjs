@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// Command-line runner for the simulator, using the same engine as the page.
+//
+//   node cli.mjs simulate norris=1 verstappen=2 piastri=dnf
+//   node cli.mjs simulate norris=1,3 verstappen=2,1 --json
+//   node cli.mjs scenarios piastri --standings standings.csv
+//   node cli.mjs simulate raikkonen=1 alonso=3 hamilton=7 --season 2007
+//
+// Run "node cli.mjs --help" for every option.
+
+import { readFileSync } from "fs";
+import {
+  SEASONS,
+  DEFAULT_SEASON,
+  SCORING_SYSTEMS,
+  RESULT_STATUSES,
+  GRID_SIZE,
+} from "./js/data.js";
+import {
+  setScoringSystem,
+  calculateSeasonResult,
+  sortStandings,
+  determineChampion,
+} from "./js/engine.js";
+import { findWinningScenarios, groupScenarios } from "./js/scenarios.js";
+import { parseStandings } from "./js/importer.js";
+
+const USAGE = `Usage:
+  node cli.mjs simulate <driver>=<result>[,<result>...] ... [options]
+  node cli.mjs scenarios <driver> [options]
+
+simulate   Prints the final standings. A result is a position (1-${GRID_SIZE}) or
+           ${Object.keys(RESULT_STATUSES)
+             .filter((key) => key !== "finished")
+             .join(", ")}; give one result per round, separated by commas.
+           Drivers left out score nothing.
+scenarios  Prints what the driver needs in the final race to win the title,
+           under the season's settings for that race (e.g. the 2021
+           fastest-lap point).
+
+Options:
+  --season <id>       Built-in standings before a season's final race:
+                      ${Object.keys(SEASONS).join(
+                        ", "
+                      )} (default ${DEFAULT_SEASON})
+  --standings <file>  Start from a standings file (CSV or Ergast/Jolpica JSON)
+  --scoring <id>      Points system: ${Object.keys(SCORING_SYSTEMS).join(", ")}
+                      (default: the season's)
+  --json              Print JSON instead of text
+  --help              Show this message`;
+
+/**
+ * Splits the command line into the mode, its arguments and the options.
+ * @param {Array<string>} argv - process.argv without node and the script
+ * @returns {Object} { mode, args, options }
+ */
+function parseArgs(argv) {
+  const options = {
+    json: false,
+    help: false,
+    season: DEFAULT_SEASON,
+    standings: null,
+    scoring: null,
+  };
+  const args = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") options.json = true;
+    else if (arg === "--help" || arg === "-h") options.help = true;
+    else if (
+      arg === "--season" ||
+      arg === "--standings" ||
+      arg === "--scoring"
+    ) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value.`);
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option "${arg}".`);
+    } else {
+      args.push(arg);
+    }
+  }
+
+  return { mode: args[0], args: args.slice(1), options };
+}
+
+function findSeason(id) {
+  if (!Object.prototype.hasOwnProperty.call(SEASONS, id)) {
+    throw new Error(
+      `Unknown season "${id}". Known seasons: ${Object.keys(SEASONS).join(
+        ", "
+      )}.`
+    );
+  }
+  return SEASONS[id];
+}
+
+function loadDrivers(file, season) {
+  if (!file) return season.drivers;
+  return parseStandings(readFileSync(file, "utf8"), file);
+}
+
+function findDriver(drivers, id) {
+  const driver = drivers.find((d) => d.id === id);
+  if (!driver) {
+    throw new Error(
+      `Unknown driver "${id}". Known drivers: ${drivers
+        .map((d) => d.id)
+        .join(", ")}.`
+    );
+  }
+  return driver;
+}
+
+/**
+ * Reads "norris=1,3" style arguments into round entries per driver id.
+ * @returns {Object} { entries: { id: [entry, ...] }, roundCount }
+ */
+function readResults(drivers, args) {
+  const entries = {};
+  let roundCount = 0;
+
+  args.forEach((arg) => {
+    const [id, list] = arg.split("=");
+    if (!list) throw new Error(`Expected <driver>=<result>, got "${arg}".`);
+    findDriver(drivers, id);
+    if (entries[id]) throw new Error(`"${id}" is given more than once.`);
+
+    entries[id] = list.split(",").map((value) => {
+      if (RESULT_STATUSES[value] && value !== "finished") {
+        return { pos: null, status: value };
+      }
+      const pos = Number(value);
+      if (!Number.isInteger(pos) || pos < 1 || pos > GRID_SIZE) {
+        throw new Error(`"${value}" is not a position or a status (${arg}).`);
+      }
+      return { pos, status: "finished" };
+    });
+    roundCount = Math.max(roundCount, entries[id].length);
+  });
+
+  // Two drivers cannot finish in the same place in the same round
+  for (let r = 0; r < roundCount; r++) {
+    const taken = {};
+    Object.entries(entries).forEach(([id, driverEntries]) => {
+      const pos = driverEntries[r] && driverEntries[r].pos;
+      if (pos == null) return;
+      if (taken[pos]) {
+        throw new Error(
+          `${taken[pos]} and ${id} both finish P${pos} in round ${r + 1}.`
+        );
+      }
+      taken[pos] = id;
+    });
+  }
+
+  return { entries, roundCount };
+}
+
+function runSimulate(drivers, args, options) {
+  if (args.length === 0) throw new Error("simulate needs at least one result.");
+  const { entries, roundCount } = readResults(drivers, args);
+
+  const standings = sortStandings(
+    drivers.map((driver) => {
+      const driverEntries = entries[driver.id] || [];
+      const padded = [];
+      for (let r = 0; r < roundCount; r++)
+        padded.push(driverEntries[r] || null);
+      return calculateSeasonResult(driver, padded);
+    })
+  );
+  const { champion, second, isTie } = determineChampion(standings);
+
+  if (options.json) {
+    return JSON.stringify(
+      {
+        champion: isTie ? null : champion.id,
+        tie: isTie ? [champion.id, second.id] : null,
+        standings: standings.map((res, i) => ({
+          position: i + 1,
+          id: res.id,
+          name: res.name,
+          team: res.team,
+          racePoints: res.racePoints,
+          points: res.finalPoints,
+          wins: res.finalWins,
+          podiums: res.finalPodiums,
+        })),
+      },
+      null,
+      2
+    );
+  }
+
+  const rows = standings.map((res, i) => [
+    String(i + 1),
+    res.name,
+    res.team,
+    String(res.racePoints),
+    String(res.finalPoints),
+    String(res.finalWins),
+    String(res.finalPodiums),
+  ]);
+  const summary = isTie
+    ? `Tie on points and every countback position between ${champion.name} and ${second.name} (${champion.finalPoints} pts).`
+    : `Champion: ${champion.name} (${champion.team}) with ${champion.finalPoints} points.`;
+  return `${formatTable(
+    ["Pos", "Driver", "Team", "Race Pts", "Pts", "Wins", "Podiums"],
+    rows
+  )}\n\n${summary}`;
+}
+
+function runScenarios(drivers, round, args, options) {
+  if (args.length !== 1) throw new Error("scenarios needs exactly one driver.");
+  const driver = findDriver(drivers, args[0]);
+  const scenarios = findWinningScenarios(driver.id, drivers, round);
+  const groups = scenarios.length ? groupScenarios(driver.id, scenarios) : [];
+
+  if (options.json) {
+    return JSON.stringify(
+      {
+        driver: driver.id,
+        positions: groups.map((group) => ({
+          position: group.position,
+          conditions: group.conditions.map((condition) => ({
+            text: condition.text,
+            ranges: condition.ranges,
+            fastestLap: condition.fastestLap,
+            scenarios: condition.scenarios.length,
+          })),
+        })),
+      },
+      null,
+      2
+    );
+  }
+
+  if (groups.length === 0) {
+    return `No scenarios found where ${driver.name} wins the title.`;
+  }
+  return groups
+    .map(
+      (group) =>
+        `If ${driver.name} finishes ${group.position}:\n` +
+        group.conditions.map((condition) => `  - ${condition.text}`).join("\n")
+    )
+    .join("\n\n");
+}
+
+// Left-aligned plain-text table
+function formatTable(header, rows) {
+  const widths = header.map((title, col) =>
+    Math.max(title.length, ...rows.map((row) => row[col].length))
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, col) => cell.padEnd(widths[col]))
+      .join("  ")
+      .trimEnd();
+  return [
+    line(header),
+    line(widths.map((w) => "-".repeat(w))),
+    ...rows.map(line),
+  ].join("\n");
+}
+
+function main(argv) {
+  const { mode, args, options } = parseArgs(argv);
+  if (options.help || !mode) return USAGE;
+
+  const season = findSeason(options.season);
+  setScoringSystem(options.scoring || season.scoring);
+  const drivers = loadDrivers(options.standings, season);
+
+  if (mode === "simulate") return runSimulate(drivers, args, options);
+  if (mode === "scenarios") {
+    const finalRound = season.rounds[season.rounds.length - 1];
+    return runScenarios(drivers, finalRound, args, options);
+  }
+  throw new Error(`Unknown mode "${mode}".\n\n${USAGE}`);
+}
+
+try {
+  console.log(main(process.argv.slice(2)));
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,443 @@
+import {
+  calculateSeasonResult,
+  sortStandings,
+  getScoringSystem,
+  getMaxRoundPoints,
+  findCountbackPosition,
+} from "./engine.js";
+import { FASTEST_LAP_POINTS, GRID_SIZE } from "./data.js";
+
+// Championship Numbers list the top ten and everyone still in contention
+const LISTED_POSITIONS = 10;
+
+// Most places canAllPass() hands out before giving up. Finding out whether
+// the rivals can all pass is a packing problem, and where what they need
+// only just fits in what the rounds pay it can take minutes to settle.
+const MAX_SEARCH_STEPS = 100000;
+
+/**
+ * Points one driver can still score over the remaining rounds.
+ * @param {Array} rounds - Rounds left to run (settings as in REMAINING_ROUNDS)
+ * @returns {number}
+ */
+export function getPointsAvailable(rounds) {
+  return rounds.reduce((sum, round) => sum + getMaxRoundPoints(round), 0);
+}
+
+/**
+ * Championship numbers for every driver: what is left to score, the
+ * "magic number" to clinch, when they are knocked out and the best and
+ * worst final position they can still reach.
+ *
+ * - clinchPoints: points the driver must score to be champion whatever the
+ *   rivals do, i.e. to finish above every rival's maximum. A tie on points
+ *   is not counted, as it goes to the countback. null when even a perfect
+ *   weekend is not enough.
+ * - outIfLeaderScores: points that would knock the driver out if the
+ *   current leader scores them. 0 when the driver is already out, null when
+ *   it cannot happen any more and for the leader.
+ * - bestPosition: the driver wins every race, sprint and fastest lap, and
+ *   nobody else scores (every other car could retire).
+ * - worstPosition: the lowest position the driver can still finish in, with
+ *   the driver scoring nothing and every combination of places for the
+ *   rivals behind searched (countback included). Only worked out for the
+ *   listed rows (null for the rest). Where the search gives up,
+ *   worstPositionSettled is false and the driver can finish there or lower.
+ * - listed: the row is one of the top ten or still in contention, the ones
+ *   Championship Numbers show.
+ *
+ * @param {Array} drivers - Current standings (base drivers)
+ * @param {Array} rounds - Rounds left to run
+ * @returns {Array} One entry per driver, in championship order:
+ *   { driver, position, points, pointsAvailable, maxPoints, clinchPoints,
+ *     outIfLeaderScores, bestPosition, worstPosition, worstPositionSettled,
+ *     listed, status } with status "clinched", "contender" or "eliminated"
+ */
+export function analyseChampionship(drivers, rounds) {
+  const pointsAvailable = getPointsAvailable(rounds);
+  const standings = sortStandings(
+    drivers.map((driver) => calculateSeasonResult(driver, []))
+  );
+  const leaderPoints = standings[0].finalPoints;
+
+  return standings.map((res, i) => {
+    const driver = drivers.find((d) => d.id === res.id);
+    const maxPoints = res.points + pointsAvailable;
+    const bestRivalMax = Math.max(
+      ...standings
+        .filter((other) => other.id !== res.id)
+        .map((other) => other.points + pointsAvailable)
+    );
+
+    const needed = Math.max(0, bestRivalMax - res.points + 1);
+    const clinchPoints = needed <= pointsAvailable ? needed : null;
+
+    const leader = i === 0 ? null : standings[0];
+    const knockout = leader ? Math.max(0, maxPoints - leader.points + 1) : null;
+    const outIfLeaderScores =
+      knockout !== null && knockout <= pointsAvailable ? knockout : null;
+
+    let status = "contender";
+    if (clinchPoints === 0) status = "clinched";
+    else if (maxPoints < leaderPoints) status = "eliminated";
+    const listed = i < LISTED_POSITIONS || status !== "eliminated";
+    const worst = listed ? findWorstPosition(driver, drivers, rounds) : null;
+
+    return {
+      driver,
+      position: i + 1,
+      points: res.points,
+      pointsAvailable,
+      maxPoints,
+      clinchPoints,
+      outIfLeaderScores,
+      bestPosition: findBestPosition(driver, drivers, rounds),
+      worstPosition: worst && worst.position,
+      worstPositionSettled: Boolean(worst && worst.settled),
+      listed,
+      status,
+    };
+  });
+}
+
+// Final position of a driver in a given set of results
+function rankOf(driver, drivers, rounds, entryFor) {
+  const results = drivers.map((d) =>
+    calculateSeasonResult(
+      d,
+      rounds.map((round, r) => entryFor(d, round, r))
+    )
+  );
+  return sortStandings(results).findIndex((res) => res.id === driver.id) + 1;
+}
+
+function findBestPosition(driver, drivers, rounds) {
+  return rankOf(driver, drivers, rounds, (d, round) =>
+    d.id === driver.id
+      ? {
+          pos: 1,
+          sprintPos: round.sprint ? 1 : null,
+          fastestLap: Boolean(round.fastestLapBonus),
+          halfPoints: Boolean(round.halfPoints),
+        }
+      : { pos: null, status: "dnf" }
+  );
+}
+
+// Every scoring event of the remaining rounds with its paying places, best
+// first: each Grand Prix (with every classified place as well), its fastest
+// lap (one "place", for a top-10 finisher of that Grand Prix) and its
+// sprint.
+function getScoringEvents(rounds) {
+  const { race, sprint } = getScoringSystem();
+  const ranked = (table, scale) =>
+    table
+      .map((pts, pos) => ({ pos, points: pts * scale }))
+      .slice(1)
+      .filter((place) => place.points > 0)
+      .sort((a, b) => b.points - a.points || a.pos - b.pos);
+
+  const events = [];
+  rounds.forEach((round, r) => {
+    const scale = round.halfPoints ? 0.5 : 1;
+    const places = ranked(race, scale);
+    // Places outside the points still count for the countback
+    const unpaid = [];
+    for (let pos = 1; pos <= GRID_SIZE; pos++) {
+      if (!places.some((place) => place.pos === pos)) {
+        unpaid.push({ pos, points: 0 });
+      }
+    }
+    events.push({
+      round: r,
+      type: "gp",
+      places,
+      classified: [...places, ...unpaid],
+    });
+    if (round.fastestLapBonus) {
+      events.push({
+        round: r,
+        type: "fastestLap",
+        places: [{ pos: 1, points: FASTEST_LAP_POINTS * scale }],
+      });
+    }
+    if (round.sprint && sprint) {
+      events.push({ round: r, type: "sprint", places: ranked(sprint, 1) });
+    }
+  });
+  return events;
+}
+
+// The driver scores nothing (any result of theirs only helps them) and as
+// many rivals from behind as possible pass them. If some k rivals can all
+// pass, so can the k closest behind: the same places give a closer rival at
+// least the points it needs and keep it ahead on the countback. So the
+// closest rivals are added one by one until they can no longer all pass.
+// Returns { position, settled }, unsettled where the search gave up.
+function findWorstPosition(driver, drivers, rounds) {
+  const events = getScoringEvents(rounds);
+  const pointsAvailable = getPointsAvailable(rounds);
+  const standings = sortStandings(
+    drivers.map((d) => calculateSeasonResult(d, []))
+  );
+  const position = standings.findIndex((res) => res.id === driver.id) + 1;
+  const behind = standings
+    .slice(position)
+    .filter((res) => res.points + pointsAvailable >= driver.points)
+    .map((res) => drivers.find((d) => d.id === res.id));
+
+  let passing = 0;
+  let pass = true;
+  while (passing < behind.length) {
+    pass = canAllPass(driver, behind.slice(0, passing + 1), rounds, events);
+    if (!pass) break;
+    passing++;
+  }
+  return { position: position + passing, settled: pass !== null };
+}
+
+// Whether some results take every rival above the driver, who retires in
+// every round. A branch and bound that hands out the places event by event,
+// the ones worth most first so the small ones are left to even things out,
+// and ends a branch as soon as the places left can't cover what the rivals
+// still need. It first looks for results where every rival ends up ahead on
+// points: then rivals who still need the same points are interchangeable,
+// so only one of them is tried per place and dead ends are remembered by
+// what is still needed. Only if that fails are rivals allowed to finish
+// level and win the countback, which depends on who finished where.
+// null when it gives up after MAX_SEARCH_STEPS places.
+function canAllPass(driver, rivals, rounds, scoringEvents) {
+  const total = (places) => places.reduce((sum, p) => sum + p.points, 0);
+  const events = [...scoringEvents].sort(
+    (a, b) => total(b.places) - total(a.places)
+  );
+  const needs = rivals.map((rival) => driver.points - rival.points);
+  const gains = rivals.map(() => 0);
+  // taken[i][e]: place of rival i in event e, or null
+  const taken = rivals.map(() => events.map(() => null));
+  const indices = rivals.map((_, i) => i);
+  const gpOf = events.map((event) =>
+    events.findIndex((ev) => ev.round === event.round && ev.type === "gp")
+  );
+
+  let steps = 0;
+  let gaveUp = false;
+
+  // Points the best `count` places of every event after e are worth
+  const pointsAfter = (e, count) =>
+    events
+      .slice(e + 1)
+      .reduce((sum, event) => sum + total(event.places.slice(0, count)), 0);
+
+  // Where a rival stands on the countback against the driver: ahead, or
+  // behind from a given place on by `short` finishes there (from Infinity
+  // when every count matches and the names decide, see sortStandings). The
+  // key holds the finish counts from that place on, all that still matters.
+  const driverResult = calculateSeasonResult(driver, []);
+  const baseFinishes = rivals.map(
+    (rival) => calculateSeasonResult(rival, []).finalFinishes
+  );
+  const countback = (i) => {
+    const finalFinishes = [...baseFinishes[i]];
+    events.forEach((event, e) => {
+      const pos = taken[i][e];
+      if (event.type !== "gp" || pos === null) return;
+      while (finalFinishes.length < pos) finalFinishes.push(0);
+      finalFinishes[pos - 1]++;
+    });
+    const position = findCountbackPosition({ finalFinishes }, driverResult);
+    if (position === null) {
+      return rivals[i].name.localeCompare(driver.name) < 0
+        ? { ahead: true, key: "ahead" }
+        : { ahead: false, from: Infinity, short: 1, key: "tie" };
+    }
+    const short =
+      (driverResult.finalFinishes[position - 1] || 0) -
+      finalFinishes[position - 1];
+    if (short < 0) return { ahead: true, key: "ahead" };
+    return {
+      ahead: false,
+      from: position,
+      short,
+      key: `${position}:${finalFinishes.slice(position - 1).join(".")}`,
+    };
+  };
+
+  // Points totals move in steps (1, or 0.5 with half points), so finishing
+  // level takes the gap rounded up to a whole step and finishing ahead one
+  // step more than the gap rounded down. Odd custom tables get no rounding.
+  const values = events.flatMap((event) => event.places.map((p) => p.points));
+  let step = 1;
+  while (step > 1 / 64 && !values.every((v) => Number.isInteger(v / step))) {
+    step /= 2;
+  }
+  const whole = values.every((v) => Number.isInteger(v / step));
+  const levelTarget = (gap) => (whole ? Math.ceil(gap / step) * step : gap);
+  const aheadTarget = (gap) =>
+    whole ? (Math.floor(gap / step) + 1) * step : gap + 1e-9;
+
+  // level: whether a rival may finish level on points with the driver
+  const handOut = (level) => {
+    steps = 0;
+    const targets = needs.map(level ? levelTarget : aheadTarget);
+    // Points rival i still needs to reach its target
+    const missing = (i) => targets[i] - gains[i];
+    const isPast = (i) => gains[i] > needs[i];
+    // Places outside the points only matter to a rival level on points
+    const placesOf = (e) => (level && events[e].classified) || events[e].places;
+
+    // A fastest lap only counts for a top-10 finisher of that Grand Prix
+    const topTen = (i, e) => {
+      const gpPos = taken[i][gpOf[e]];
+      return gpPos !== null && gpPos <= 10;
+    };
+    const canTake = (i, e) =>
+      !isPast(i) && (events[e].type !== "fastestLap" || topTen(i, e));
+
+    // However many rivals are picked, the places left must cover what they
+    // still need between them. A rival level on points but behind on the
+    // countback needs at least one more place.
+    const withinReach = (e, slot, used) => {
+      const placesLeft = placesOf(e).slice(slot);
+      const smallest = Math.min(
+        ...[
+          placesLeft,
+          ...events.slice(e + 1).map((_, j) => placesOf(e + 1 + j)),
+        ]
+          .filter((places) => places.length)
+          .map((places) => places[places.length - 1].points)
+      );
+      const short = (i) => {
+        if (missing(i) > 0) return missing(i);
+        return isPast(i) || countback(i).ahead ? 0 : smallest;
+      };
+      let needed = 0;
+      let free = 0;
+      return indices
+        .filter((i) => short(i) > 0)
+        .sort((a, b) => short(b) - short(a))
+        .every((i, m) => {
+          needed += short(i);
+          if (!used.has(i)) free++;
+          return (
+            needed <=
+            pointsAfter(e, m + 1) +
+              total(placesLeft.slice(0, Math.min(m + 1, free)))
+          );
+        });
+    };
+
+    // Rivals who would finish level on points must also win the countback.
+    // That takes a Grand Prix place above the first one where they trail the
+    // driver, or as many more finishes in that place as they are short. The
+    // points to spare decide how many of them can finish ahead on points
+    // instead.
+    const countbackInReach = (e, slot) => {
+      if (!whole) return true;
+      const placesLeft = placesOf(e).slice(slot);
+      const spare =
+        total(placesLeft) +
+        pointsAfter(e, Infinity) -
+        indices.reduce((sum, i) => sum + Math.max(0, missing(i)), 0);
+      const behind = indices
+        .filter((i) => !isPast(i) && targets[i] === needs[i])
+        .map((i) => countback(i))
+        .filter((standing) => !standing.ahead);
+      const mustWin = behind.length - Math.floor(spare / step);
+      if (mustWin <= 0) return true;
+
+      const gpPlaces = [
+        ...(events[e].type === "gp" ? placesLeft : []),
+        ...events
+          .map((event, j) => (j > e && event.type === "gp" ? placesOf(j) : []))
+          .flat(),
+      ];
+      // Of the rivals trailing from place `from` or earlier, only so many
+      // can be served by the places up to it
+      return [...new Set(behind.map((standing) => standing.from))].every(
+        (from) => {
+          const atFrom = behind.filter((standing) => standing.from === from);
+          const short = Math.min(...atFrom.map((standing) => standing.short));
+          const served =
+            gpPlaces.filter((place) => place.pos < from).length +
+            Math.floor(
+              gpPlaces.filter((place) => place.pos === from).length / short
+            );
+          const later = behind.filter((standing) => standing.from > from);
+          return mustWin <= later.length + served;
+        }
+      );
+    };
+
+    const done = () =>
+      indices.every(
+        (i) => isPast(i) || (gains[i] === needs[i] && countback(i).ahead)
+      );
+
+    // Rivals in the same state are interchangeable: only one of them is
+    // tried per place, and dead ends are remembered by the states left. The
+    // state is what a rival still needs, whether it can take this place and
+    // the fastest laps still to come, and its countback if it may be level.
+    const stateOf = (i, e, used) => {
+      if (isPast(i)) return "past";
+      const fastestLaps = events
+        .map((event, j) =>
+          j > e && event.type === "fastestLap" && topTen(i, j) ? j : ""
+        )
+        .join("");
+      const state = `${missing(i)}${
+        used.has(i) || !canTake(i, e) ? "x" : ""
+      }/${fastestLaps}`;
+      return level ? `${state}@${countback(i).key}` : state;
+    };
+    const deadEnds = new Set();
+
+    // Hands out place `slot` of event e and everything after it
+    const search = (e, slot, used) => {
+      if (done()) return true;
+      if (e === events.length) return false;
+      if (++steps > MAX_SEARCH_STEPS) {
+        gaveUp = true;
+        return false;
+      }
+
+      const eligible = indices.filter((i) => !used.has(i) && canTake(i, e));
+      if (slot === placesOf(e).length || eligible.length === 0) {
+        return search(e + 1, 0, new Set());
+      }
+      if (!withinReach(e, slot, used)) return false;
+      if (level && !countbackInReach(e, slot)) return false;
+      const key = `${e}/${slot}:${indices
+        .map((i) => stateOf(i, e, used))
+        .sort()
+        .join(",")}`;
+      if (deadEnds.has(key)) return false;
+
+      // The place goes first to whoever is furthest from their target
+      eligible.sort((a, b) => missing(b) - missing(a));
+      const tried = new Set();
+      for (const i of eligible) {
+        const state = stateOf(i, e, used);
+        if (tried.has(state)) continue;
+        tried.add(state);
+        const place = placesOf(e)[slot];
+        used.add(i);
+        taken[i][e] = place.pos;
+        gains[i] += place.points;
+        const found = search(e, slot + 1, used);
+        gains[i] -= place.points;
+        taken[i][e] = null;
+        used.delete(i);
+        if (found) return true;
+        if (gaveUp) return false;
+      }
+      deadEnds.add(key);
+      return false;
+    };
+
+    return search(0, 0, new Set());
+  };
+
+  if (handOut(false) || handOut(true)) return true;
+  return gaveUp ? null : false;
+}
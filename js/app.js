@@ -1,54 +1,322 @@
-import { BASE_DRIVERS } from "./data.js";
 import {
-  calculateDriverResult,
+  SEASONS,
+  DEFAULT_SEASON,
+  SCORING_SYSTEMS,
+  GRID_SIZE,
+  RESULT_STATUSES,
+} from "./data.js";
+import {
+  getScoringSystem,
+  setScoringSystem,
+  calculateSeasonResult,
+  calculateConstructorStandings,
+  applyRoundPenalties,
+  toBaseDriver,
+  simulateRounds,
   sortStandings,
   determineChampion,
+  explainStandings,
 } from "./engine.js";
-import { findWinningScenarios, groupScenarios } from "./scenarios.js";
+import {
+  getNoPointsPosition,
+  getContenders,
+  buildOutcomeGrid,
+  getConstructorContenders,
+  runStrategySearch,
+  applyScenarioToEntries,
+} from "./scenarios.js";
+import { DISTRIBUTION_PRESETS, runMonteCarlo } from "./montecarlo.js";
+import { parseStandings, parseSeasonResults } from "./importer.js";
+import { analyseChampionship, getPointsAvailable } from "./analysis.js";
+import { buildReplay, renderPointsChart, CHART_COLORS } from "./replay.js";
+import { encodeState, decodeState, decodeSeason } from "./share.js";
+import { parseLiveUpdate, parseLiveFeed, applyLiveUpdate } from "./live.js";
+import {
+  LIBRARY_STORAGE_KEY,
+  createSavedScenario,
+  serializeLibrary,
+  parseLibrary,
+  mergeLibrary,
+  compareScenarios,
+} from "./library.js";
+import {
+  buildStandingsTable,
+  describeOutcome,
+  toCsv,
+  standingsToMarkdown,
+  strategyToMarkdown,
+  drawStandingsImage,
+} from "./exporter.js";
+import {
+  MAX_HISTORY_STEPS,
+  takeSnapshot,
+  describeChanges,
+  diffStandings,
+} from "./history.js";
 
 // DOM Elements
+const pageTitle = document.getElementById("page-title");
+const seasonSelect = document.getElementById("season-select");
+const seasonDescription = document.getElementById("season-description");
+const thead = document.getElementById("drivers-head");
 const tbody = document.getElementById("drivers-body");
+const roundProgression = document.getElementById("round-progression");
+const constructorStandings = document.getElementById("constructor-standings");
 const championSummary = document.getElementById("champion-summary");
 const simulateBtn = document.getElementById("simulate-btn");
 const resetBtn = document.getElementById("reset-btn");
+const addRoundBtn = document.getElementById("add-round-btn");
+const removeRoundBtn = document.getElementById("remove-round-btn");
+const shareBtn = document.getElementById("share-btn");
+const scoringSelect = document.getElementById("scoring-select");
+const customScoring = document.getElementById("custom-scoring");
+const customRacePoints = document.getElementById("custom-race-points");
+const customSprintPoints = document.getElementById("custom-sprint-points");
+const applyScoringBtn = document.getElementById("apply-scoring-btn");
+const scoringError = document.getElementById("scoring-error");
+const racePointsNote = document.getElementById("race-points-note");
+const sprintPointsNote = document.getElementById("sprint-points-note");
+const championshipNumbers = document.getElementById("championship-numbers");
 const strategyResults = document.getElementById("strategy-results");
-const strategyButtons = document.querySelectorAll(".driver-select-btn");
+const strategyHeatmap = document.getElementById("strategy-heatmap");
+const strategyButtons = document.getElementById("strategy-buttons");
+const driverButtons = document.getElementById("driver-buttons");
+const constructorButtons = document.getElementById("constructor-buttons");
+const teamOrderButtons = document.getElementById("team-order-buttons");
+const standingsImport = document.getElementById("standings-import");
+const standingsFile = document.getElementById("standings-file");
+const restoreStandingsBtn = document.getElementById("restore-standings-btn");
+const standingsStatus = document.getElementById("standings-status");
+const standingsError = document.getElementById("standings-error");
+const replayFile = document.getElementById("replay-file");
+const replayPrevBtn = document.getElementById("replay-prev-btn");
+const replayNextBtn = document.getElementById("replay-next-btn");
+const replayRound = document.getElementById("replay-round");
+const replayUseBtn = document.getElementById("replay-use-btn");
+const replayError = document.getElementById("replay-error");
+const replayResults = document.getElementById("replay-results");
+const liveUrl = document.getElementById("live-url");
+const liveConnectBtn = document.getElementById("live-connect-btn");
+const liveFile = document.getElementById("live-file");
+const liveStopBtn = document.getElementById("live-stop-btn");
+const liveStatus = document.getElementById("live-status");
+const liveError = document.getElementById("live-error");
+const liveResults = document.getElementById("live-results");
+const distributionBody = document.getElementById("distribution-body");
+const mcIterations = document.getElementById("mc-iterations");
+const mcSeed = document.getElementById("mc-seed");
+const mcRunBtn = document.getElementById("mc-run-btn");
+const mcError = document.getElementById("mc-error");
+const probabilityResults = document.getElementById("probability-results");
+const scenarioName = document.getElementById("scenario-name");
+const scenarioNotes = document.getElementById("scenario-notes");
+const saveScenarioBtn = document.getElementById("save-scenario-btn");
+const exportLibraryBtn = document.getElementById("export-library-btn");
+const libraryFile = document.getElementById("library-file");
+const libraryStatus = document.getElementById("library-status");
+const libraryError = document.getElementById("library-error");
+const libraryList = document.getElementById("library-list");
+const libraryCompare = document.getElementById("library-compare");
+const exportCsvBtn = document.getElementById("export-csv-btn");
+const exportMarkdownBtn = document.getElementById("export-markdown-btn");
+const exportPngBtn = document.getElementById("export-png-btn");
+const exportError = document.getElementById("export-error");
+const exportStrategyBtn = document.getElementById("export-strategy-btn");
+const undoBtn = document.getElementById("undo-btn");
+const redoBtn = document.getElementById("redo-btn");
+const historyTimeline = document.getElementById("history-timeline");
 
 // State
-let drivers = [...BASE_DRIVERS]; // Working copy could be useful, but we regenerate on fly mostly
+let season = SEASONS[DEFAULT_SEASON]; // Picked in the season picker
+let drivers = [...season.drivers]; // Replaced when a standings file is imported
+let fullField = season.fullField; // Every car is listed, so constructors can be scored
+let rounds = season.rounds.map((round) => ({ ...round }));
+let replay = null; // Loaded season, see buildReplay()
+let liveSource = null; // { stop } of the connected feed or the running replay
+let liveRace = null; // { drivers, event } the live updates are scored against
+let liveState = null; // Latest applyLiveUpdate() output
+let strategyGroups = null; // { driverId, groups } shown in the Strategy Room
+let constructorGroups = null; // { teamName, groups } shown in the Strategy Room
+let teamOrderGroups = null; // { teamName, situations } shown in the Strategy Room
+let lastSimulation = null; // { results, rounds, outcome, teamOutcome } of the current inputs
+let tableSimulated = false; // The table shows a simulation, maybe of older inputs
+let changeHistory = []; // Steps of the manual table, see history.js
+let historyIndex = 0; // Steps before this are applied, the rest can be redone
+let tableSnapshot = null; // The table as of the last recorded step
+let restoringHistory = false; // An undo or redo is rebuilding the table
+let activeScenario = null; // { driverId, group, condition, index } loaded from a card
+let heatmap = null; // { driverId, rivalId, slice, fastestLap, championMap } drawn under the cards
+let scenarioWorker = null; // Strategy Room search running in worker.js
+let scenarioSearchId = 0; // Bumped to drop the running search's results
+let strategyInputs = null; // Standings, scoring and final round the Strategy Room last searched
+let library = []; // Saved scenarios, see library.js
+let comparedIds = []; // Saved scenarios ticked for comparison, oldest first
 
 function init() {
-  buildTable();
+  buildScoringSelect();
+  buildSeasonSelect();
+  // The season decides which drivers the rest of the link refers to
+  applySeason(decodeSeason(location.hash, SEASONS) || DEFAULT_SEASON);
+  // Read the link before building anything, as every rebuild rewrites it
+  const shared = decodeState(location.hash, {
+    drivers,
+    scoringSystems: SCORING_SYSTEMS,
+  });
+  if (shared) applySharedSettings(shared);
+  buildTable(shared ? toIndexedEntries(shared.entries) : {});
+  buildStrategyButtons();
   setupEventListeners();
+  if (shared) applySharedSelection(shared);
+  loadLibrary();
 }
 
 function setupEventListeners() {
   simulateBtn.addEventListener("click", runSimulation);
+  seasonSelect.addEventListener("change", changeSeason);
+  shareBtn.addEventListener("click", copyShareLink);
+  strategyResults.addEventListener("click", handleScenarioClick);
+  strategyHeatmap.addEventListener("change", handleHeatmapChange);
   resetBtn.addEventListener("click", resetTable);
+  addRoundBtn.addEventListener("click", addRound);
+  removeRoundBtn.addEventListener("click", removeRound);
+  scoringSelect.addEventListener("change", handleScoringChange);
+  applyScoringBtn.addEventListener("click", applyCustomScoring);
+  mcRunBtn.addEventListener("click", runProbabilityAnalysis);
+  standingsFile.addEventListener("change", () => {
+    if (standingsFile.files.length) importStandingsFile(standingsFile.files[0]);
+    standingsFile.value = "";
+  });
+  replayFile.addEventListener("change", () => {
+    if (replayFile.files.length) loadSeasonFile(replayFile.files[0]);
+    replayFile.value = "";
+  });
+  replayRound.addEventListener("input", showReplayRound);
+  replayPrevBtn.addEventListener("click", () => stepReplay(-1));
+  replayNextBtn.addEventListener("click", () => stepReplay(1));
+  replayUseBtn.addEventListener("click", useReplayStandings);
+  liveConnectBtn.addEventListener("click", connectLiveFeed);
+  liveFile.addEventListener("change", () => {
+    if (liveFile.files.length) loadLiveFeedFile(liveFile.files[0]);
+    liveFile.value = "";
+  });
+  liveStopBtn.addEventListener("click", () => finishLive("Stopped."));
+  restoreStandingsBtn.addEventListener("click", () => {
+    useStandings(
+      [...season.drivers],
+      `Built-in ${season.year} standings.`,
+      season.fullField
+    );
+  });
+  standingsImport.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    standingsImport.classList.add("drag-over");
+  });
+  standingsImport.addEventListener("dragleave", () => {
+    standingsImport.classList.remove("drag-over");
+  });
+  standingsImport.addEventListener("drop", (e) => {
+    e.preventDefault();
+    standingsImport.classList.remove("drag-over");
+    const file = e.dataTransfer && e.dataTransfer.files[0];
+    if (file) importStandingsFile(file);
+  });
+  distributionBody.addEventListener("change", handleDistributionChange);
+  saveScenarioBtn.addEventListener("click", saveScenario);
+  exportLibraryBtn.addEventListener("click", exportLibrary);
+  libraryFile.addEventListener("change", () => {
+    if (libraryFile.files.length) importLibraryFile(libraryFile.files[0]);
+    libraryFile.value = "";
+  });
+  libraryList.addEventListener("click", handleLibraryClick);
+  libraryList.addEventListener("change", handleCompareChange);
+  exportCsvBtn.addEventListener("click", () => exportStandings("csv"));
+  exportMarkdownBtn.addEventListener("click", () => exportStandings("md"));
+  exportPngBtn.addEventListener("click", () => exportStandings("png"));
+  exportStrategyBtn.addEventListener("click", exportStrategy);
+  undoBtn.addEventListener("click", undo);
+  redoBtn.addEventListener("click", redo);
+  historyTimeline.addEventListener("click", handleTimelineClick);
+  document.addEventListener("keydown", handleHistoryKeys);
+
+  strategyButtons.addEventListener("click", (e) => {
+    const btn = e.target.closest(".driver-select-btn");
+    if (!btn) return;
 
-  strategyButtons.forEach((btn) => {
-    btn.addEventListener("click", (e) => {
-      // Toggle active state
-      strategyButtons.forEach((b) => b.classList.remove("active"));
-      e.target.classList.add("active");
+    // Toggle active state
+    strategyButtons
+      .querySelectorAll(".driver-select-btn")
+      .forEach((b) => b.classList.remove("active"));
+    btn.classList.add("active");
 
-      const driverId = e.target.dataset.driver;
-      runStrategyAnalysis(driverId);
+    runActiveStrategy();
+    updateUrl();
+  });
+}
+
+function buildHeader() {
+  const tr = document.createElement("tr");
+  const addTh = (content) => {
+    const th = document.createElement("th");
+    if (content instanceof HTMLElement) th.appendChild(content);
+    else th.textContent = content;
+    tr.appendChild(th);
+  };
+
+  ["Rank", "Driver", "Team", "Current Pts", "Wins", "Podiums"].forEach(addTh);
+  rounds.forEach((round, r) => addTh(createRoundHeader(round, r)));
+  ["Race Pts", "Final Pts", "Final Wins", "Final Podiums"].forEach(addTh);
+
+  thead.innerHTML = "";
+  thead.appendChild(tr);
+}
+
+// Round name plus the weekend format toggles
+function createRoundHeader(round, roundIdx) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "round-header";
+
+  const title = document.createElement("span");
+  title.textContent = `R${roundIdx + 1} ${round.name}`;
+  wrapper.appendChild(title);
+
+  const hasSprints = Boolean(getScoringSystem().sprint);
+  [
+    { setting: "sprint", label: "Sprint", disabled: !hasSprints },
+    { setting: "fastestLapBonus", label: "FL bonus" },
+    { setting: "halfPoints", label: "Half points" },
+  ].forEach(({ setting, label, disabled }) => {
+    const toggle = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = Boolean(round[setting]) && !disabled;
+    checkbox.disabled = Boolean(disabled);
+    checkbox.addEventListener("change", () => {
+      const entries = readRoundEntries();
+      rounds[roundIdx][setting] = checkbox.checked;
+      buildTable(entries);
     });
+    toggle.append(checkbox, ` ${label}`);
+    wrapper.appendChild(toggle);
   });
+
+  return wrapper;
 }
 
-function buildTable() {
+/**
+ * Builds the un-simulated table.
+ * @param {Object} [entries] - Optional inputs to restore, as returned by readRoundEntries()
+ */
+function buildTable(entries = {}) {
+  lastSimulation = null;
+  tableSimulated = false;
+  buildHeader();
   tbody.innerHTML = "";
-  BASE_DRIVERS.forEach((driver, idx) => {
-    // Only show title contenders
-    if (!driver.isContender) return;
-
+  // Every driver gets a row; those who can still win are highlighted
+  const contenderIds = getContenders(drivers, rounds).map((d) => d.id);
+  drivers.forEach((driver, idx) => {
     const tr = document.createElement("tr");
     tr.dataset.driverIndex = idx.toString();
-    // Contender class is now redundant visually since all are contenders,
-    // but kept for any specific styling needs
-    tr.classList.add("contender");
+    if (contenderIds.includes(driver.id)) tr.classList.add("contender");
 
     const tds = [
       { text: "-", class: "rank" },
@@ -57,7 +325,9 @@ function buildTable() {
       { text: driver.points },
       { text: driver.wins },
       { text: driver.podiums },
-      { html: createPositionSelect(idx, driver.points).outerHTML },
+      ...rounds.map((round, r) => ({
+        element: createRoundCell(idx, r, entries[idx] ? entries[idx][r] : {}),
+      })),
       { text: "0", id: `race-pts-${idx}` },
       { text: driver.points, id: `final-pts-${idx}` },
       { text: driver.wins, id: `final-wins-${idx}` },
@@ -67,7 +337,7 @@ function buildTable() {
     tds.forEach((tdData) => {
       const td = document.createElement("td");
       if (tdData.id) td.id = tdData.id;
-      if (tdData.html) td.innerHTML = tdData.html;
+      if (tdData.element) td.appendChild(tdData.element);
       else td.textContent = tdData.text;
       tr.appendChild(td);
     });
@@ -75,91 +345,383 @@ function buildTable() {
     tbody.appendChild(tr);
   });
 
-  // Add event listeners for selects after creating them
-  const selects = tbody.querySelectorAll("select");
-  selects.forEach((sel) => {
-    sel.addEventListener("change", handlePositionChange);
+  championSummary.innerHTML = "";
+  roundProgression.innerHTML = "";
+  removeRoundBtn.disabled = rounds.length <= 1;
+  if (fullField) {
+    updateConstructorTable(
+      sortStandings(
+        calculateConstructorStandings(
+          drivers.map((driver) => calculateSeasonResult(driver, []))
+        )
+      ),
+      false
+    );
+  } else {
+    constructorStandings.innerHTML =
+      "<p><small>The Constructors' Championship needs every car, and these standings only list the title contenders.</small></p>";
+  }
+  buildDistributionInputs();
+  updateChampionshipNumbers();
+  recordChange();
+  updateUrl();
+}
+
+/**
+ * Builds the inputs for one driver in one round: GP position and status,
+ * plus the sprint position and fastest-lap toggle when the round uses them.
+ * The cell can be dragged onto another driver's cell in the same round to
+ * swap their Grand Prix results.
+ * @param {number} driverIdx
+ * @param {number} roundIdx
+ * @param {Object} entry - { pos, sprintPos, fastestLap, status, penalties } to preselect
+ * @returns {HTMLElement}
+ */
+function createRoundCell(driverIdx, roundIdx, entry = {}) {
+  const round = rounds[roundIdx];
+  const cell = document.createElement("div");
+  cell.className = "round-inputs";
+  cell.draggable = true;
+  cell.dataset.idx = driverIdx;
+  cell.dataset.round = roundIdx;
+  cell.addEventListener("dragstart", handleResultDragStart);
+  cell.addEventListener("dragover", (e) => e.preventDefault());
+  cell.addEventListener("drop", handleResultDrop);
+
+  const status = entry.status || "finished";
+  const gpSelect = createPositionSelect(driverIdx, roundIdx, "gp");
+  if (entry.pos && status === "finished") gpSelect.value = entry.pos.toString();
+  gpSelect.disabled = status !== "finished";
+  gpSelect.dataset.previous = gpSelect.value;
+  cell.appendChild(gpSelect);
+  cell.appendChild(createStatusSelect(driverIdx, roundIdx, status));
+
+  if (round.sprint && getScoringSystem().sprint) {
+    const sprintSelect = createPositionSelect(driverIdx, roundIdx, "sprint");
+    if (entry.sprintPos) sprintSelect.value = entry.sprintPos.toString();
+    sprintSelect.dataset.previous = sprintSelect.value;
+    cell.appendChild(sprintSelect);
+  }
+
+  if (round.fastestLapBonus) {
+    const toggle = document.createElement("label");
+    toggle.className = "fastest-lap-toggle";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.dataset.idx = driverIdx;
+    checkbox.dataset.round = roundIdx;
+    checkbox.checked = Boolean(entry.fastestLap);
+    checkbox.addEventListener("change", handleFastestLapChange);
+    checkbox.addEventListener("change", handleInputChange);
+    toggle.append(checkbox, " Fastest lap");
+    cell.appendChild(toggle);
+  }
+
+  cell.appendChild(createPenaltyInputs(driverIdx, roundIdx, entry.penalties));
+  return cell;
+}
+
+// Post-race penalties for the Grand Prix, one row each: type plus places
+// lost or points. "+ Penalty" adds a row; a row left on "No penalty" is ignored.
+function createPenaltyInputs(driverIdx, roundIdx, penalties = []) {
+  const list = document.createElement("div");
+  list.className = "penalty-list";
+
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.className = "add-penalty-btn";
+  addBtn.textContent = "+ Penalty";
+  addBtn.title = "Add another penalty";
+  addBtn.addEventListener("click", () => {
+    list.insertBefore(createPenaltyRow(driverIdx, roundIdx), addBtn);
+  });
+
+  (penalties.length ? penalties : [null]).forEach((penalty) => {
+    list.appendChild(createPenaltyRow(driverIdx, roundIdx, penalty));
   });
+  list.appendChild(addBtn);
+  return list;
+}
 
-  championSummary.innerHTML = "";
+function createPenaltyRow(driverIdx, roundIdx, penalty) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "penalty-inputs";
+
+  const select = document.createElement("select");
+  select.className = "penalty-select";
+  select.dataset.idx = driverIdx;
+  select.dataset.round = roundIdx;
+  [
+    ["", "No penalty"],
+    ["time", "Time penalty"],
+    ["dsq", "Disqualified after the race"],
+    ["points", "Points deduction"],
+  ].forEach(([value, label]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+
+  const amount = document.createElement("input");
+  amount.type = "number";
+  amount.min = "0";
+  amount.className = "penalty-amount";
+
+  const showAmount = () => {
+    amount.hidden = select.value !== "time" && select.value !== "points";
+    amount.title =
+      select.value === "time"
+        ? "Places lost (cars that finished within the penalty time)"
+        : "Points deducted";
+    amount.placeholder = select.value === "time" ? "Places" : "Points";
+  };
+  select.value = penalty ? penalty.type : "";
+  amount.value = penalty && penalty.amount ? penalty.amount : "";
+  showAmount();
+  select.addEventListener("change", showAmount);
+  select.addEventListener("change", handleInputChange);
+  amount.addEventListener("change", handleInputChange);
+
+  wrapper.append(select, amount);
+  return wrapper;
 }
 
-function createPositionSelect(driverIdx, currentPoints) {
+function createPositionSelect(driverIdx, roundIdx, eventType = "gp") {
   const select = document.createElement("select");
-  select.name = `finish-pos-${driverIdx}`;
+  select.name = `finish-pos-${driverIdx}-${roundIdx}-${eventType}`;
   select.dataset.idx = driverIdx;
+  select.dataset.round = roundIdx;
+  select.dataset.event = eventType;
+
+  const isSprint = eventType === "sprint";
+  const prefix = isSprint ? "Sprint P" : "P";
 
   const optNone = document.createElement("option");
   optNone.value = "";
-  optNone.textContent = "No points / DNF";
+  optNone.textContent = isSprint ? "Sprint: no result" : "No result";
   select.appendChild(optNone);
 
-  for (let pos = 1; pos <= 10; pos++) {
+  // The whole grid can be classified; only the scoring places earn points
+  for (let pos = 1; pos <= GRID_SIZE; pos++) {
     const opt = document.createElement("option");
     opt.value = pos.toString();
-    opt.textContent = "P" + pos;
+    opt.textContent = prefix + pos;
     select.appendChild(opt);
   }
+  select.addEventListener("change", handlePositionChange);
+  select.addEventListener("change", handleInputChange);
+  return select;
+}
+
+// Finished / DNF / DNS / DSQ for the Grand Prix
+function createStatusSelect(driverIdx, roundIdx, status) {
+  const select = document.createElement("select");
+  select.className = "status-select";
+  select.name = `status-${driverIdx}-${roundIdx}`;
+  select.dataset.idx = driverIdx;
+  select.dataset.round = roundIdx;
+
+  Object.entries(RESULT_STATUSES).forEach(([key, label]) => {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+  select.value = status;
+  select.addEventListener("change", handleStatusChange);
+  select.addEventListener("change", handleInputChange);
   return select;
 }
 
-// Ensure no two drivers have the same position
+// Ensure no two drivers have the same position in the same event. The
+// driver who held the place takes the changed driver's old one instead.
 function handlePositionChange(e) {
   const changedSelect = e.target;
   const newValue = changedSelect.value;
+  const oldValue = changedSelect.dataset.previous || "";
+  changedSelect.dataset.previous = newValue;
 
-  // If "No Points" selected, no conflict logic needed
+  // If "No result" selected, no conflict logic needed
   if (newValue === "") return;
 
+  const { round, event } = changedSelect.dataset;
   const allSelects = Array.from(
-    document.querySelectorAll("#drivers-body select")
+    document.querySelectorAll(
+      `#drivers-body select[data-round="${round}"][data-event="${event}"]`
+    )
   );
 
   // Find another select that already holds this position
   const conflictingSelect = allSelects.find(
     (s) => s !== changedSelect && s.value === newValue
   );
+  if (!conflictingSelect) return;
 
-  if (conflictingSelect) {
-    // Determine used values excluding the conflicting one (since it's moving)
-    // We include the 'newValue' because the changedSelect now occupies it
+  let replacement = oldValue;
+  if (replacement === "") {
+    // Nothing to swap with: take the topmost free position
     const usedValues = new Set();
     allSelects.forEach((s) => {
       if (s !== conflictingSelect && s.value !== "") {
         usedValues.add(parseInt(s.value, 10));
       }
     });
-
-    // Find the topmost (lowest number) available position P1..P10
     let bestP = 1;
     while (usedValues.has(bestP)) {
       bestP++;
     }
+    replacement = bestP <= GRID_SIZE ? bestP.toString() : "";
+  }
+  conflictingSelect.value = replacement;
+  conflictingSelect.dataset.previous = replacement;
+}
 
-    // Assign if within range (for 3 drivers, this will always be <= 3 usually)
-    if (bestP <= 10) {
-      conflictingSelect.value = bestP.toString();
-    } else {
-      // Fallback if somehow 1..10 are full (impossible with 3 drivers but safe to handle)
-      conflictingSelect.value = "";
-    }
+// A driver without a finish has no classified position
+function handleStatusChange(e) {
+  const { idx, round } = e.target.dataset;
+  const gpSelect = tbody.querySelector(
+    `select[data-idx="${idx}"][data-round="${round}"][data-event="gp"]`
+  );
+  const finished = e.target.value === "finished";
+  gpSelect.disabled = !finished;
+  if (!finished) {
+    gpSelect.value = "";
+    gpSelect.dataset.previous = "";
   }
 }
 
-function runSimulation() {
-  const rows = Array.from(tbody.querySelectorAll("tr"));
-  const results = [];
+function handleResultDragStart(e) {
+  const { idx, round } = e.currentTarget.dataset;
+  e.dataTransfer.setData("text/plain", `${idx},${round}`);
+}
+
+// Dropping one driver's cell on another's swaps their GP position and status
+function handleResultDrop(e) {
+  e.preventDefault();
+  const [fromIdx, fromRound] = e.dataTransfer.getData("text/plain").split(",");
+  const { idx, round } = e.currentTarget.dataset;
+  if (fromRound !== round || fromIdx === idx) return;
+
+  const find = (driverIdx, selector) =>
+    tbody.querySelector(
+      `${selector}[data-idx="${driverIdx}"][data-round="${round}"]`
+    );
+  const gpSelector = 'select[data-event="gp"]';
+  [gpSelector, ".status-select"].forEach((selector) => {
+    const a = find(fromIdx, selector);
+    const b = find(idx, selector);
+    [a.value, b.value] = [b.value, a.value];
+  });
+  [fromIdx, idx].forEach((driverIdx) => {
+    const gpSelect = find(driverIdx, gpSelector);
+    gpSelect.disabled = find(driverIdx, ".status-select").value !== "finished";
+    gpSelect.dataset.previous = gpSelect.value;
+  });
+  lastSimulation = null;
+  recordChange();
+  updateUrl();
+}
+
+// Runs after the table's own handlers for every edit of a round cell
+function handleInputChange(e) {
+  const { idx } = e.target.closest(".round-inputs").dataset;
+  // The shown standings no longer match the inputs, so exports simulate again
+  lastSimulation = null;
+  recordChange(drivers[idx].id);
+  updateUrl();
+}
+
+// Only one driver can set the fastest lap in a round
+function handleFastestLapChange(e) {
+  if (!e.target.checked) return;
+  tbody
+    .querySelectorAll(
+      `.fastest-lap-toggle input[data-round="${e.target.dataset.round}"]`
+    )
+    .forEach((checkbox) => {
+      if (checkbox !== e.target) checkbox.checked = false;
+    });
+}
+
+/**
+ * Reads the manual inputs from the table.
+ * @returns {Object} Map of driver index to an array of round entries
+ *   ({ pos, sprintPos, fastestLap, halfPoints, status, penalties }, one per
+ *   round; penalties lists { type, amount } in the order entered)
+ */
+function readRoundEntries() {
+  const entries = {};
+  const entryFor = (el) => {
+    const idx = parseInt(el.dataset.idx, 10);
+    if (!entries[idx]) {
+      entries[idx] = rounds.map((round) => ({
+        pos: null,
+        sprintPos: null,
+        fastestLap: false,
+        halfPoints: Boolean(round.halfPoints),
+        status: "finished",
+        penalties: [],
+      }));
+    }
+    return entries[idx][parseInt(el.dataset.round, 10)];
+  };
 
-  // 1. Gather inputs
-  rows.forEach((tr) => {
-    const idx = parseInt(tr.dataset.driverIndex, 10);
-    const base = BASE_DRIVERS[idx];
-    const select = tr.querySelector("select");
-    const posValue = select.value;
-    const finishingPos = posValue === "" ? null : parseInt(posValue, 10);
+  tbody.querySelectorAll("select[data-event]").forEach((select) => {
+    const value = select.value === "" ? null : parseInt(select.value, 10);
+    const entry = entryFor(select);
+    if (select.dataset.event === "sprint") entry.sprintPos = value;
+    else entry.pos = value;
+  });
+  tbody.querySelectorAll(".status-select").forEach((select) => {
+    entryFor(select).status = select.value;
+  });
+  tbody.querySelectorAll(".penalty-select").forEach((select) => {
+    if (select.value === "") return;
+    const amount = select.parentElement.querySelector(".penalty-amount");
+    entryFor(select).penalties.push({
+      type: select.value,
+      amount: Math.max(0, Number(amount.value) || 0),
+    });
+  });
+  tbody.querySelectorAll(".fastest-lap-toggle input").forEach((checkbox) => {
+    entryFor(checkbox).fastestLap = checkbox.checked;
+  });
+  return entries;
+}
 
-    results.push(calculateDriverResult(base, finishingPos));
+/**
+ * Applies the penalties entered in the table to the on-track results.
+ * @param {Object} entries - As returned by readRoundEntries()
+ * @returns {Object} Map of driver index to official round entries
+ */
+function readOfficialEntries(entries) {
+  const penalties = {};
+  Object.entries(entries).forEach(([idx, driverEntries]) => {
+    penalties[idx] = driverEntries
+      .flatMap((entry, round) =>
+        entry.penalties.map((penalty) => ({ round, ...penalty }))
+      )
+      .map(({ round, type, amount }) => ({
+        round,
+        type,
+        places: type === "time" ? amount : 0,
+        points: type === "points" ? amount : 0,
+      }));
   });
+  return applyRoundPenalties(entries, penalties);
+}
+
+// Returns the sorted results, e.g. for saving them (see saveScenario)
+function runSimulation() {
+  // 1. Gather inputs: the on-track results, and the official ones after
+  // the stewards' penalties, which are the ones that score
+  const onTrack = readRoundEntries();
+  const entries = readOfficialEntries(onTrack);
+  const indexes = Object.keys(entries).map((idx) => parseInt(idx, 10));
+  const results = indexes.map((idx) =>
+    calculateSeasonResult(drivers[idx], entries[idx])
+  );
 
   // 2. Sort
   const sortedResults = sortStandings(results);
@@ -167,35 +729,64 @@ function runSimulation() {
   // 3. Determine Champion
   const { champion, second, isTie } = determineChampion(sortedResults);
 
-  // 4. Update UI
-  updateTable(sortedResults, isTie);
-  updateSummary(champion, second, isTie);
+  // 4. Constructors: every car counts, drivers without inputs score nothing
+  const sortedTeams = sortStandings(
+    calculateConstructorStandings(
+      drivers.map((driver, idx) =>
+        calculateSeasonResult(driver, entries[idx] || [])
+      )
+    )
+  );
+  const constructors = determineChampion(sortedTeams);
+  lastSimulation = {
+    results: sortedResults,
+    rounds: [...rounds],
+    outcome: { champion, second, isTie },
+    teamOutcome: fullField ? constructors : null,
+  };
+  tableSimulated = true;
+
+  // 5. Update UI
+  updateTable(sortedResults, isTie, onTrack);
+  updateSummary(champion, second, isTie, explainStandings(sortedResults));
+  if (fullField) {
+    updateConstructorTable(sortedTeams, constructors.isTie);
+    updateConstructorSummary(constructors);
+  }
+  buildStrategyButtons();
+  updateProgression(
+    simulateRounds(
+      indexes.map((idx) => drivers[idx]),
+      indexes.map((idx) => entries[idx]),
+      rounds.length
+    )
+  );
+  return sortedResults;
 }
 
-function updateTable(sortedResults, isTie) {
+/**
+ * Shows the simulated standings, keeping the on-track inputs in each row
+ * and noting where the official result differs.
+ * @param {Array} sortedResults
+ * @param {boolean} isTie
+ * @param {Object} onTrack - Inputs as returned by readRoundEntries()
+ */
+function updateTable(sortedResults, isTie, onTrack) {
   tbody.innerHTML = "";
+  const contenderIds = getContenders(drivers, rounds).map((d) => d.id);
 
   sortedResults.forEach((res, rankIndex) => {
-    const originalIdx = BASE_DRIVERS.findIndex((d) => d.name === res.name); // simplistic match
+    const originalIdx = drivers.findIndex((d) => d.name === res.name); // simplistic match
 
     const tr = document.createElement("tr");
     if (rankIndex === 0 && !isTie) {
       tr.classList.add("champion-row");
     }
-    if (res.isContender) {
-      tr.classList.add("contender");
-    }
+    if (contenderIds.includes(res.id)) tr.classList.add("contender");
     tr.dataset.driverIndex = originalIdx.toString();
 
     // Re-create cells
-    // Note: We need to preserve the user's selection in the dropdown
-
-    const selectHtml = createPositionSelect(originalIdx).outerHTML;
-
-    // Helper to get value
-    const racePts = res.racePoints;
-    const finalPts = res.finalPoints;
-
+    // Note: We need to preserve the user's inputs for every round
     const tds = [
       rankIndex + 1,
       res.name,
@@ -203,20 +794,28 @@ function updateTable(sortedResults, isTie) {
       res.points, // Base
       res.wins,
       res.podiums,
-      selectHtml, // We'll set value after
-      racePts,
-      finalPts,
+      ...res.roundEntries.map((official, r) => {
+        const entry = onTrack[originalIdx][r];
+        const cell = createRoundCell(originalIdx, r, entry);
+        const note = describeOfficialResult(entry, official);
+        if (note) {
+          const small = document.createElement("span");
+          small.className = "official-result";
+          small.textContent = note;
+          cell.appendChild(small);
+        }
+        return cell;
+      }),
+      res.racePoints,
+      res.finalPoints,
       res.finalWins,
       res.finalPodiums,
     ];
 
-    tds.forEach((content, i) => {
+    tds.forEach((content) => {
       const td = document.createElement("td");
-      if (i === 6) {
-        td.innerHTML = content;
-        const sel = td.querySelector("select");
-        if (res.finishingPos) sel.value = res.finishingPos.toString();
-        sel.addEventListener("change", handlePositionChange);
+      if (content instanceof HTMLElement) {
+        td.appendChild(content);
       } else {
         td.textContent = content;
       }
@@ -227,56 +826,2244 @@ function updateTable(sortedResults, isTie) {
   });
 }
 
-function updateSummary(champion, second, isTie) {
+// "Official: P3" when penalties changed the result, otherwise null
+function describeOfficialResult(entry, official) {
+  const notes = [];
+  if (official.status !== entry.status) {
+    notes.push(`Official: ${RESULT_STATUSES[official.status]}`);
+  } else if (official.pos !== entry.pos) {
+    notes.push(`Official: P${official.pos}`);
+  }
+  if (official.deduction) notes.push(`−${official.deduction} pts`);
+  return notes.length ? notes.join(", ") : null;
+}
+
+/**
+ * Writes the champion line and how the order was decided.
+ * @param {Object} champion
+ * @param {Object} second
+ * @param {boolean} isTie
+ * @param {Array} trace - Output of explainStandings()
+ */
+function updateSummary(champion, second, isTie, trace) {
   let summaryHtml = "";
   if (isTie) {
     summaryHtml =
       `<p><span class="champion-badge tie-badge">Tie</span> ` +
-      `Tie on points/wins/podiums between <strong>${champion.name}</strong> and ` +
-      `<strong>${second.name}</strong> (${champion.finalPoints} pts).</p>`;
+      `Tie on points and every countback position between <strong>${escapeHtml(
+        champion.name
+      )}</strong> and ` +
+      `<strong>${escapeHtml(second.name)}</strong> (${
+        champion.finalPoints
+      } pts).</p>`;
   } else {
     summaryHtml =
       `<p><span class="champion-badge">Champion</span> ` +
-      `<strong>${champion.name}</strong> (${champion.team}) with ` +
+      `<strong>${escapeHtml(champion.name)}</strong> (${escapeHtml(
+        champion.team
+      )}) with ` +
       `<strong>${champion.finalPoints}</strong> points ` +
       `(wins: ${champion.finalWins}, podiums: ${champion.finalPodiums}).</p>`;
   }
+  if (trace.length) {
+    // A tie is already spelled out above
+    if (!isTie) {
+      const lead = describeDecision(trace[0]);
+      summaryHtml += `<p class="decision-line">${lead}</p>`;
+    }
+    summaryHtml +=
+      `<details class="decision-trace"><summary>How every place was decided</summary><ol>` +
+      trace
+        .map(
+          (step, i) => `<li>P${i + 1}–P${i + 2}: ${describeDecision(step)}</li>`
+        )
+        .join("") +
+      `</ol></details>`;
+  }
   championSummary.innerHTML = summaryHtml;
 }
 
+// 1 -> "1st", 2 -> "2nd", 11 -> "11th", 22 -> "22nd"
+function ordinal(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${{ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th"}`;
+}
+
+/**
+ * One explainStandings() step as a sentence, e.g. "Norris ahead of
+ * Verstappen: level on 426 pts and 8 wins, more 2nd places (5 vs 4)".
+ * @param {Object} step
+ * @returns {string} HTML
+ */
+function describeDecision({
+  ahead,
+  behind,
+  decidedBy,
+  position,
+  aheadValue,
+  behindValue,
+}) {
+  const aheadName = `<strong>${escapeHtml(ahead.name)}</strong>`;
+  const behindName = `<strong>${escapeHtml(behind.name)}</strong>`;
+  const pair = `${aheadName} ahead of ${behindName}`;
+  if (decidedBy === "points") {
+    const margin = aheadValue - behindValue;
+    const points = margin === 1 ? "point" : "points";
+    return `${pair}: ${margin} more ${points} (${aheadValue} vs ${behindValue})`;
+  }
+  if (decidedBy === "tie") {
+    return (
+      `${aheadName} and ${behindName} ` +
+      `level on ${aheadValue} pts and every countback position (listed by name)`
+    );
+  }
+
+  const wins = ahead.finalFinishes[0] || 0;
+  const winsText = `${wins} win${wins === 1 ? "" : "s"}`;
+  let level = `level on ${ahead.finalPoints} pts`;
+  if (position === 2) {
+    level += ` and ${winsText}`;
+  } else if (position === 3) {
+    level += `, ${winsText} and ${ahead.finalFinishes[1] || 0} 2nd places`;
+  } else if (position > 3) {
+    level += `, ${winsText} and as many 2nd to ${ordinal(position - 1)} places`;
+  }
+  const place = position === 1 ? "wins" : `${ordinal(position)} places`;
+  return `${pair}: ${level}, more ${place} (${aheadValue} vs ${behindValue})`;
+}
+
+function updateConstructorSummary({ champion, second, isTie }) {
+  const p = document.createElement("p");
+  if (isTie) {
+    p.innerHTML =
+      `<span class="champion-badge tie-badge">Tie</span> ` +
+      `Constructors tied between <strong>${escapeHtml(
+        champion.name
+      )}</strong> and ` +
+      `<strong>${escapeHtml(second.name)}</strong> (${
+        champion.finalPoints
+      } pts).`;
+  } else {
+    p.innerHTML =
+      `<span class="champion-badge">Constructors</span> ` +
+      `<strong>${escapeHtml(champion.name)}</strong> with ` +
+      `<strong>${champion.finalPoints}</strong> points ` +
+      `(wins: ${champion.finalWins}).`;
+  }
+  championSummary.appendChild(p);
+}
+
+/**
+ * Renders the Constructors' Championship table.
+ * @param {Array} sortedTeams - Sorted team results from calculateConstructorStandings()
+ * @param {boolean} isTie - The top two teams can't be separated
+ */
+function updateConstructorTable(sortedTeams, isTie) {
+  const rows = sortedTeams
+    .map(
+      (team, rankIndex) => `
+        <tr class="${rankIndex === 0 && !isTie ? "champion-row" : ""}">
+          <td>${rankIndex + 1}</td>
+          <td>${escapeHtml(team.name)}</td>
+          <td>${escapeHtml(team.drivers.join(", "))}</td>
+          <td>${team.points}</td>
+          <td>${team.racePoints}</td>
+          <td>${team.finalPoints}</td>
+          <td>${team.finalWins}</td>
+        </tr>`
+    )
+    .join("");
+
+  constructorStandings.innerHTML = `
+    <h3>Constructors' Championship</h3>
+    <table>
+      <thead>
+        <tr>
+          <th>Rank</th><th>Team</th><th>Drivers</th><th>Current Pts</th>
+          <th>Race Pts</th><th>Final Pts</th><th>Final Wins</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Renders the standings after each remaining round, with the rank change
+ * compared to the previous round.
+ * @param {Array<Array>} progression - Output of simulateRounds()
+ */
+function updateProgression(progression) {
+  if (progression.length <= 1) {
+    roundProgression.innerHTML = "";
+    return;
+  }
+
+  const finalOrder = progression[progression.length - 1];
+  const header = rounds
+    .map((round, r) => `<th>After R${r + 1} ${round.name}</th>`)
+    .join("");
+
+  const rows = finalOrder
+    .map((driver) => {
+      let previousRank = null;
+      const cells = progression
+        .map((standings) => {
+          const rank = standings.findIndex((d) => d.name === driver.name) + 1;
+          const res = standings[rank - 1];
+          let move = "";
+          if (previousRank !== null && rank < previousRank) {
+            move = ` <span class="rank-up">▲${previousRank - rank}</span>`;
+          } else if (previousRank !== null && rank > previousRank) {
+            move = ` <span class="rank-down">▼${rank - previousRank}</span>`;
+          }
+          previousRank = rank;
+          return `<td>P${rank} · ${res.finalPoints} pts${move}</td>`;
+        })
+        .join("");
+      return `<tr><td>${escapeHtml(driver.name)}</td>${cells}</tr>`;
+    })
+    .join("");
+
+  roundProgression.innerHTML = `
+    <h3>Standings after each round</h3>
+    <table>
+      <thead><tr><th>Driver</th>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
 function resetTable() {
   buildTable();
   championSummary.innerHTML = "";
 }
 
-// Strategy Room Logic
-function runStrategyAnalysis(driverId) {
-  strategyResults.innerHTML = "<p>Calculating scenarios...</p>";
+// Keeps the current inputs while the round list changes
+function addRound() {
+  const entries = readRoundEntries();
+  rounds.push({
+    name: `Round ${rounds.length + 1}`,
+    sprint: false,
+    fastestLapBonus: false,
+    halfPoints: false,
+  });
+  buildTable(entries);
+  buildStrategyButtons();
+}
 
-  // Allow UI to update before blocking (though it's fast enough to be sync usually)
-  setTimeout(() => {
-    const scenarios = findWinningScenarios(driverId);
+function removeRound() {
+  if (rounds.length <= 1) return;
+  const entries = readRoundEntries();
+  rounds.pop();
+  buildTable(entries);
+  buildStrategyButtons();
+}
 
-    if (scenarios.length === 0) {
-      strategyResults.innerHTML = `<p>No scenarios found where ${driverId} wins the title given the constraints.</p>`;
-      return;
+// Season Logic
+
+function buildSeasonSelect() {
+  Object.values(SEASONS)
+    .sort((a, b) => b.year - a.year)
+    .forEach((entry) => {
+      const opt = document.createElement("option");
+      opt.value = entry.id;
+      opt.textContent = `${entry.year} ${entry.race}`;
+      seasonSelect.appendChild(opt);
+    });
+}
+
+// Switches to a season's standings, race and points system without
+// rebuilding the table
+function applySeason(id) {
+  season = SEASONS[id];
+  drivers = [...season.drivers];
+  fullField = season.fullField;
+  rounds = season.rounds.map((round) => ({ ...round }));
+
+  setScoringSystem(season.scoring);
+  scoringSelect.value = season.scoring;
+  customScoring.hidden = true;
+  scoringError.textContent = "";
+  updateScoringNotes();
+
+  seasonSelect.value = season.id;
+  seasonDescription.textContent = season.description;
+  pageTitle.textContent = `F1 ${season.year} Final Race Championship Simulator`;
+  document.title = pageTitle.textContent;
+}
+
+function changeSeason() {
+  applySeason(seasonSelect.value);
+  // Earlier steps refer to the old drivers
+  resetHistory();
+  standingsError.textContent = "";
+  standingsStatus.textContent = `Built-in ${season.year} standings. ${drivers.length} drivers.`;
+  buildTable();
+  buildStrategyButtons();
+}
+
+// Points System Logic
+function buildScoringSelect() {
+  Object.values(SCORING_SYSTEMS).forEach((system) => {
+    const opt = document.createElement("option");
+    opt.value = system.id;
+    opt.textContent = system.name;
+    scoringSelect.appendChild(opt);
+  });
+  const custom = document.createElement("option");
+  custom.value = "custom";
+  custom.textContent = "Custom…";
+  scoringSelect.appendChild(custom);
+
+  scoringSelect.value = getScoringSystem().id;
+  updateScoringNotes();
+}
+
+function handleScoringChange() {
+  const isCustom = scoringSelect.value === "custom";
+  customScoring.hidden = !isCustom;
+  scoringError.textContent = "";
+  // A custom table only takes effect once it is applied
+  if (!isCustom) applyScoringSystem(scoringSelect.value);
+}
+
+/**
+ * Parses "25, 18, 15" into a points table ([0, 25, 18, 15]).
+ * @param {string} text
+ * @returns {Array<number>} Table with the dummy P0 entry
+ */
+function parsePointsList(text) {
+  const values = text
+    .split(/[\s,;-]+/)
+    .filter((v) => v !== "")
+    .map((v) => Number(v));
+  if (values.length === 0 || values.some((v) => isNaN(v))) {
+    throw new Error(`"${text}" is not a list of points.`);
+  }
+  return [0, ...values];
+}
+
+function applyCustomScoring() {
+  try {
+    const sprintText = customSprintPoints.value.trim();
+    applyScoringSystem({
+      id: "custom",
+      name: "Custom",
+      race: parsePointsList(customRacePoints.value),
+      sprint: sprintText ? parsePointsList(sprintText) : null,
+    });
+    scoringError.textContent = "";
+  } catch (err) {
+    scoringError.textContent = err.message;
+  }
+}
+
+// Switches the engine to another points system and refreshes every view
+function applyScoringSystem(system) {
+  const entries = readRoundEntries();
+  setScoringSystem(system);
+  updateScoringNotes();
+  buildTable(entries);
+
+  buildStrategyButtons();
+}
+
+function updateScoringNotes() {
+  const { race, sprint } = getScoringSystem();
+  const describe = (table) =>
+    `${table.slice(1).join("-")} for P1-P${table.length - 1}`;
+
+  racePointsNote.textContent = `Grand Prix points: ${describe(race)}.`;
+  sprintPointsNote.textContent = sprint
+    ? `Sprint points: ${describe(
+        sprint
+      )}. Sprints do not count as wins or podiums.`
+    : "No sprint races in this points system.";
+}
+
+// Shareable Link Logic
+
+// readRoundEntries() keyed by driver id instead of table index
+function readEntriesById() {
+  const entries = {};
+  Object.entries(readRoundEntries()).forEach(([idx, driverEntries]) => {
+    entries[drivers[idx].id] = driverEntries;
+  });
+  return entries;
+}
+
+// The current inputs in the share.js layout
+function getShareState() {
+  const entries = readEntriesById();
+  const active = strategyButtons.querySelector(".driver-select-btn.active");
+
+  return encodeState({
+    season: season.id,
+    scoring: getScoringSystem(),
+    rounds,
+    entries,
+    strategy: active ? { ...active.dataset } : null,
+  });
+}
+
+// Writes the current inputs into the URL hash without adding history entries
+function updateUrl() {
+  location.replace(`#${getShareState()}`);
+}
+
+// Points system and round settings from a shared link
+function applySharedSettings(shared) {
+  if (shared.scoring) {
+    try {
+      setScoringSystem(shared.scoring);
+    } catch (err) {
+      scoringError.textContent = err.message;
     }
+    const { id, race, sprint } = getScoringSystem();
+    scoringSelect.value = id;
+    customScoring.hidden = id !== "custom";
+    if (id === "custom") {
+      customRacePoints.value = race.slice(1).join(", ");
+      customSprintPoints.value = sprint ? sprint.slice(1).join(", ") : "";
+    }
+    updateScoringNotes();
+  }
+
+  if (shared.rounds.length) {
+    rounds = shared.rounds.map((round, r) => ({
+      name: season.rounds[r] ? season.rounds[r].name : `Round ${r + 1}`,
+      ...round,
+    }));
+  }
+}
 
-    const grouped = groupScenarios(driverId, scenarios);
+// Driver id -> entries (from a link) to driver index -> entries (table)
+function toIndexedEntries(entriesById) {
+  const entries = {};
+  drivers.forEach((driver, idx) => {
+    if (!entriesById[driver.id]) return;
+    entries[idx] = entriesById[driver.id].map((entry, r) => ({
+      ...entry,
+      halfPoints: Boolean(rounds[r] && rounds[r].halfPoints),
+    }));
+  });
+  return entries;
+}
 
-    // Render
-    strategyResults.innerHTML = grouped
-      .map(
-        (group) => `
-            <div class="scenario-card">
-                <h4>If ${
-                  driverId.charAt(0).toUpperCase() + driverId.slice(1)
-                } finishes <strong>${group.position}</strong></h4>
-                <p>${group.description}</p>
+// Shows the shared result and re-selects the shared Strategy Room button
+function applySharedSelection(shared) {
+  const hasResults = Object.values(readRoundEntries()).some((driverEntries) =>
+    driverEntries.some(
+      (entry) =>
+        entry.pos != null ||
+        entry.sprintPos != null ||
+        entry.status !== "finished" ||
+        entry.penalties.length
+    )
+  );
+  if (hasResults) runSimulation();
+
+  const { strategy } = shared;
+  const btn =
+    strategy &&
+    [...strategyButtons.querySelectorAll(".driver-select-btn")].find((b) =>
+      isSameStrategy(b.dataset, strategy)
+    );
+  if (btn) btn.click();
+  updateUrl();
+}
+
+function copyShareLink() {
+  updateUrl();
+  const link = location.href;
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(link).then(
+      () => {
+        shareBtn.textContent = "Link copied";
+        setTimeout(() => (shareBtn.textContent = "Copy link"), 2000);
+      },
+      () => window.prompt("Copy this link:", link)
+    );
+  } else {
+    window.prompt("Copy this link:", link);
+  }
+}
+
+// Standings Import Logic
+
+function importStandingsFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      useStandings(
+        parseStandings(reader.result, file.name),
+        `Loaded ${file.name}.`
+      );
+    } catch (err) {
+      standingsError.textContent = `${file.name}: ${err.message}`;
+    }
+  };
+  reader.onerror = () => {
+    standingsError.textContent = `${file.name} could not be read.`;
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Swaps the standings every view and calculation starts from.
+ * @param {Array} newDrivers
+ * @param {string} message - Where they came from, for the status line
+ * @param {boolean} [isFullField] - They list every car (see SEASONS)
+ */
+function useStandings(newDrivers, message, isFullField = true) {
+  drivers = newDrivers;
+  fullField = isFullField;
+  // Earlier steps refer to the old drivers
+  resetHistory();
+  standingsError.textContent = "";
+  standingsStatus.textContent = `${message} ${drivers.length} drivers.`;
+  buildTable();
+  buildStrategyButtons();
+}
+
+// Saved Scenarios Logic
+
+function loadLibrary() {
+  try {
+    const stored = localStorage.getItem(LIBRARY_STORAGE_KEY);
+    library = stored ? parseLibrary(stored) : [];
+  } catch (err) {
+    library = [];
+    libraryError.textContent = `Saved scenarios could not be read: ${err.message}`;
+  }
+  renderLibrary();
+}
+
+// Writes the library to localStorage. Returns false if the browser refuses.
+function storeLibrary() {
+  try {
+    localStorage.setItem(LIBRARY_STORAGE_KEY, serializeLibrary(library));
+  } catch (err) {
+    libraryError.textContent = `Saved scenarios could not be stored: ${err.message}`;
+    return false;
+  }
+  libraryError.textContent = "";
+  return true;
+}
+
+function saveScenario() {
+  let scenario;
+  try {
+    scenario = createSavedScenario(
+      {
+        name: scenarioName.value,
+        notes: scenarioNotes.value,
+        state: getShareState(),
+        results: runSimulation(),
+      },
+      library
+    );
+  } catch (err) {
+    libraryError.textContent = err.message;
+    return;
+  }
+
+  library = [...library, scenario];
+  if (storeLibrary()) {
+    libraryStatus.textContent = `Saved "${scenario.name}".`;
+  }
+  scenarioName.value = "";
+  scenarioNotes.value = "";
+  renderLibrary();
+}
+
+// Puts a saved scenario back into the table, as if its link was opened
+function loadSavedScenario(scenario) {
+  const seasonId = decodeSeason(scenario.state, SEASONS);
+  if (seasonId && seasonId !== season.id) {
+    applySeason(seasonId);
+    resetHistory();
+  }
+  const shared = decodeState(scenario.state, {
+    drivers,
+    scoringSystems: SCORING_SYSTEMS,
+  });
+  if (!shared) {
+    libraryError.textContent = `"${scenario.name}" has no inputs to load.`;
+    return;
+  }
+
+  applySharedSettings(shared);
+  buildTable(toIndexedEntries(shared.entries));
+  buildStrategyButtons();
+  applySharedSelection(shared);
+  libraryError.textContent = "";
+  libraryStatus.textContent = `Loaded "${scenario.name}".`;
+}
+
+function handleLibraryClick(e) {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const { id } = btn.closest(".library-item").dataset;
+  const scenario = library.find((sc) => sc.id === id);
+
+  if (btn.dataset.action === "load") {
+    loadSavedScenario(scenario);
+    return;
+  }
+  if (btn.dataset.action === "rename") {
+    const name = window.prompt("Rename scenario:", scenario.name);
+    if (name == null || !name.trim()) return;
+    library = library.map((sc) =>
+      sc.id === id ? { ...sc, name: name.trim() } : sc
+    );
+  } else if (btn.dataset.action === "delete") {
+    if (!window.confirm(`Delete "${scenario.name}"?`)) return;
+    library = library.filter((sc) => sc.id !== id);
+    comparedIds = comparedIds.filter((compared) => compared !== id);
+  }
+  storeLibrary();
+  renderLibrary();
+}
+
+// Ticking a fourth scenario drops the oldest ticked one
+function handleCompareChange(e) {
+  const box = e.target.closest(".compare-toggle");
+  if (!box) return;
+  const { id } = box.closest(".library-item").dataset;
+  comparedIds = box.checked
+    ? [...comparedIds, id].slice(-3)
+    : comparedIds.filter((compared) => compared !== id);
+  renderLibrary();
+}
+
+function renderLibrary() {
+  if (library.length === 0) {
+    libraryList.innerHTML = "<p>No saved scenarios yet.</p>";
+    libraryCompare.innerHTML = "";
+    return;
+  }
+
+  libraryList.innerHTML = library
+    .map((sc) => {
+      const leader = sc.standings[0];
+      const savedAt = sc.savedAt ? new Date(sc.savedAt) : null;
+      const when =
+        savedAt && !isNaN(savedAt) ? ` · ${savedAt.toLocaleString()}` : "";
+      return `
+            <div class="library-item" data-id="${escapeHtml(sc.id)}">
+                <label>
+                    <input type="checkbox" class="compare-toggle" ${
+                      comparedIds.includes(sc.id) ? "checked" : ""
+                    } />
+                    <strong>${escapeHtml(sc.name)}</strong>
+                </label>
+                <small>Leader: ${escapeHtml(leader.name)}, ${
+        leader.points
+      } pts${when}</small>
+                ${sc.notes ? `<p>${escapeHtml(sc.notes)}</p>` : ""}
+                <div class="library-actions">
+                    <button data-action="load">Load</button>
+                    <button data-action="rename">Rename</button>
+                    <button data-action="delete">Delete</button>
+                </div>
             </div>
+        `;
+    })
+    .join("");
+  renderComparison();
+}
+
+// Final standings of the ticked scenarios side by side, with the points
+// gap to the first one
+function renderComparison() {
+  const selected = comparedIds
+    .map((id) => library.find((sc) => sc.id === id))
+    .filter(Boolean);
+  if (selected.length < 2) {
+    libraryCompare.innerHTML = selected.length
+      ? "<p>Tick one or two more scenarios to compare them.</p>"
+      : "";
+    return;
+  }
+
+  const rows = compareScenarios(selected)
+    .map(
+      (row) => `
+            <tr class="${row.differs ? "differs" : ""}">
+                <td>${escapeHtml(row.name)}</td>
+                <td>${escapeHtml(row.team || "")}</td>
+                ${row.cells
+                  .map((cell, i) => {
+                    if (!cell) return `<td colspan="2">-</td>`;
+                    const diff =
+                      i > 0 && cell.diff !== 0
+                        ? ` <span class="${
+                            cell.diff > 0 ? "rank-up" : "rank-down"
+                          }">${cell.diff > 0 ? "+" : ""}${cell.diff}</span>`
+                        : "";
+                    return `<td>P${cell.position}</td><td>${cell.points}${diff}</td>`;
+                  })
+                  .join("")}
+            </tr>
         `
-      )
-      .join("");
+    )
+    .join("");
+
+  libraryCompare.innerHTML = `
+    <table class="compare-table">
+      <thead>
+        <tr>
+          <th rowspan="2">Driver</th><th rowspan="2">Team</th>
+          ${selected
+            .map((sc) => `<th colspan="2">${escapeHtml(sc.name)}</th>`)
+            .join("")}
+        </tr>
+        <tr>${selected.map(() => "<th>Pos</th><th>Pts</th>").join("")}</tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function exportLibrary() {
+  if (library.length === 0) {
+    libraryError.textContent = "There are no saved scenarios to export.";
+    return;
+  }
+  libraryError.textContent = "";
+  downloadFile(
+    "f1-scenarios.json",
+    serializeLibrary(library),
+    "application/json"
+  );
+}
+
+function importLibraryFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let imported;
+    try {
+      imported = parseLibrary(reader.result);
+    } catch (err) {
+      libraryError.textContent = `${file.name}: ${err.message}`;
+      return;
+    }
+    library = mergeLibrary(library, imported);
+    if (storeLibrary()) {
+      libraryStatus.textContent = `Imported ${imported.length} scenarios from ${file.name}.`;
+    }
+    renderLibrary();
+  };
+  reader.onerror = () => {
+    libraryError.textContent = `${file.name} could not be read.`;
+  };
+  reader.readAsText(file);
+}
+
+// Offers text (or a Blob) to the user as a file download
+function downloadFile(fileName, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// For text from saved or imported files (scenario, driver and team names)
+// that ends up in innerHTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Export Logic
+
+function exportStandings(format) {
+  // Exports show the simulated table, so simulate one if there is none yet
+  if (!lastSimulation) runSimulation();
+  const { results, outcome, teamOutcome } = lastSimulation;
+  const table = buildStandingsTable(results, lastSimulation.rounds);
+  const summary = [describeOutcome(outcome, "Champion")];
+  if (teamOutcome) summary.push(describeOutcome(teamOutcome, "Constructors"));
+  exportError.textContent = "";
+
+  if (format === "csv") {
+    downloadFile("f1-standings.csv", toCsv(table), "text/csv");
+  } else if (format === "md") {
+    downloadFile(
+      "f1-standings.md",
+      standingsToMarkdown(summary, table),
+      "text/markdown"
+    );
+  } else {
+    const canvas = document.createElement("canvas");
+    if (!canvas.getContext || !canvas.getContext("2d")) {
+      exportError.textContent = "This browser can't draw images.";
+      return;
+    }
+    drawStandingsImage(canvas, {
+      title: document.title,
+      summary,
+      table,
+      isTie: outcome.isTie,
+    });
+    canvas.toBlob((blob) =>
+      downloadFile("f1-standings.png", blob, "image/png")
+    );
+  }
+}
+
+// The Strategy Room cards on screen as { title, cards }
+function getStrategyCards() {
+  const active = strategyButtons.querySelector(".driver-select-btn.active");
+  if (!active) return null;
+
+  const { driver, team } = active.dataset;
+  if (driver && strategyGroups && strategyGroups.driverId === driver) {
+    return {
+      title: active.textContent,
+      cards: strategyGroups.groups.map((group) => ({
+        heading: `If ${capitalize(driver)} finishes ${group.position}`,
+        conditions: group.conditions.map((condition) => condition.text),
+      })),
+    };
+  }
+  const { orders } = active.dataset;
+  if (orders && teamOrderGroups && teamOrderGroups.teamName === orders) {
+    return {
+      title: active.textContent,
+      cards: teamOrderGroups.situations.map((situation) => {
+        const card = describeTeamOrder(situation);
+        return {
+          heading: card.heading,
+          note: card.outcome,
+          conditions: card.conditions,
+        };
+      }),
+    };
+  }
+  if (team && constructorGroups && constructorGroups.teamName === team) {
+    return {
+      title: active.textContent,
+      cards: constructorGroups.groups.map((group) => ({
+        heading: group.title,
+        conditions: group.conditions.map((condition) => condition.text),
+      })),
+    };
+  }
+  return null;
+}
+
+function exportStrategy() {
+  const strategy = getStrategyCards();
+  if (!strategy) return;
+  const name = strategy.title.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  downloadFile(
+    `${name}.md`,
+    strategyToMarkdown(strategy.title, strategy.cards),
+    "text/markdown"
+  );
+}
+
+// Change History Logic
+
+/**
+ * Adds a history step if the table differs from the last recorded one.
+ * @param {string} [changedId] - The driver the user edited, when it was a
+ *   single one; changes to other drivers are then shown as automatic
+ */
+function recordChange(changedId) {
+  if (restoringHistory) return;
+  const snapshot = takeSnapshot(rounds, readEntriesById());
+  if (!tableSnapshot) {
+    tableSnapshot = snapshot;
+    renderTimeline();
+    return;
+  }
+
+  const changes = describeChanges(tableSnapshot, snapshot, drivers, changedId);
+  if (changes.length === 0) return;
+  const step = {
+    before: tableSnapshot,
+    after: snapshot,
+    changes,
+    standings: diffStandings(
+      scoreSnapshot(tableSnapshot),
+      scoreSnapshot(snapshot)
+    ),
+  };
+  changeHistory = [...changeHistory.slice(0, historyIndex), step].slice(
+    -MAX_HISTORY_STEPS
+  );
+  historyIndex = changeHistory.length;
+  tableSnapshot = snapshot;
+  renderTimeline();
+}
+
+// Standings for a snapshot, scored like runSimulation()
+function scoreSnapshot({ entries }) {
+  const indexed = {};
+  drivers.forEach((driver, idx) => {
+    if (entries[driver.id]) indexed[idx] = entries[driver.id];
+  });
+  const official = readOfficialEntries(indexed);
+  return sortStandings(
+    drivers.map((driver, idx) =>
+      calculateSeasonResult(driver, official[idx] || [])
+    )
+  );
+}
+
+function resetHistory() {
+  changeHistory = [];
+  historyIndex = 0;
+  tableSnapshot = null;
+}
+
+// Puts the table back as it was in a snapshot, simulating it again if the
+// table was simulated
+function restoreSnapshot(snapshot) {
+  const wasSimulated = tableSimulated;
+  restoringHistory = true;
+  rounds = snapshot.rounds.map((round) => ({ ...round }));
+  buildTable(toIndexedEntries(snapshot.entries));
+  buildStrategyButtons();
+  if (wasSimulated) runSimulation();
+  restoringHistory = false;
+  tableSnapshot = takeSnapshot(rounds, readEntriesById());
+  renderTimeline();
+}
+
+function undo() {
+  if (historyIndex === 0) return;
+  historyIndex--;
+  restoreSnapshot(changeHistory[historyIndex].before);
+}
+
+function redo() {
+  if (historyIndex >= changeHistory.length) return;
+  historyIndex++;
+  restoreSnapshot(changeHistory[historyIndex - 1].after);
+}
+
+// Clicking a step goes to the table as it was right after it
+function handleTimelineClick(e) {
+  const item = e.target.closest("[data-step]");
+  if (!item) return;
+  const step = Number(item.dataset.step);
+  historyIndex = step;
+  restoreSnapshot(
+    step === 0 ? changeHistory[0].before : changeHistory[step - 1].after
+  );
+}
+
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes
+function handleHistoryKeys(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  // Text fields keep their own undo
+  if (e.target.closest && e.target.closest('input:not([type="checkbox"])')) {
+    return;
+  }
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) undo();
+  else if (key === "y" || (key === "z" && e.shiftKey)) redo();
+  else return;
+  e.preventDefault();
+}
+
+function renderTimeline() {
+  undoBtn.disabled = historyIndex === 0;
+  redoBtn.disabled = historyIndex >= changeHistory.length;
+  if (changeHistory.length === 0) {
+    historyTimeline.innerHTML =
+      "<li>No changes yet. Every edit of the table is listed here.</li>";
+    return;
+  }
+
+  const describeGap = (gap) => (gap === 0 ? "leader" : `${gap} pts`);
+  const items = changeHistory.map((step, i) => {
+    const changes = step.changes
+      .map(
+        (change) =>
+          `<li class="${change.automatic ? "automatic" : ""}">${escapeHtml(
+            change.text
+          )}${change.automatic ? " (automatic)" : ""}</li>`
+      )
+      .join("");
+    const moves = step.standings
+      .slice(0, 6)
+      .map((row) => {
+        let move = "";
+        if (row.to < row.from) {
+          move = ` <span class="rank-up">▲${row.from - row.to}</span>`;
+        } else if (row.to > row.from) {
+          move = ` <span class="rank-down">▼${row.to - row.from}</span>`;
+        }
+        return `<li>P${row.to} ${escapeHtml(row.name)}${move}: ${describeGap(
+          row.gapBefore
+        )} → ${describeGap(row.gapAfter)}</li>`;
+      })
+      .join("");
+    const more =
+      step.standings.length > 6
+        ? `<li>and ${step.standings.length - 6} more</li>`
+        : "";
+    const state =
+      i + 1 === historyIndex ? "current" : i + 1 > historyIndex ? "undone" : "";
+
+    return `
+            <li class="history-step ${state}" data-step="${i + 1}">
+                <strong>Step ${i + 1}</strong>
+                <ul class="history-changes">${changes}</ul>
+                ${
+                  moves
+                    ? `<ul class="history-standings">${moves}${more}</ul>`
+                    : "<small>No change to the standings.</small>"
+                }
+            </li>
+        `;
+  });
+  const start = `
+        <li class="history-step ${
+          historyIndex === 0 ? "current" : ""
+        }" data-step="0">
+            <strong>Start</strong>
+        </li>
+    `;
+  historyTimeline.innerHTML = [start, ...items].reverse().join("");
+}
+
+// Season Replay Logic
+
+function loadSeasonFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      replay = buildReplay(parseSeasonResults(reader.result, file.name));
+    } catch (err) {
+      replayError.textContent = `${file.name}: ${err.message}`;
+      return;
+    }
+    replayError.textContent = "";
+    replayRound.max = replay.rounds.length;
+    replayRound.value = replay.rounds.length;
+    replayRound.disabled = false;
+    replayUseBtn.disabled = false;
+    showReplayRound();
+  };
+  reader.onerror = () => {
+    replayError.textContent = `${file.name} could not be read.`;
+  };
+  reader.readAsText(file);
+}
+
+function stepReplay(step) {
+  if (!replay) return;
+  const round = Number(replayRound.value) + step;
+  if (round < 0 || round > replay.rounds.length) return;
+  replayRound.value = round;
+  showReplayRound();
+}
+
+// Chart and table of the championship as it stood after the selected round
+function showReplayRound() {
+  const round = Number(replayRound.value);
+  const table = replay.standings[round];
+  const previous = round > 0 ? replay.standings[round - 1] : null;
+  replayPrevBtn.disabled = round === 0;
+  replayNextBtn.disabled = round === replay.rounds.length;
+
+  // Chart the drivers who end the season at the front
+  const finalOrder = replay.standings[replay.rounds.length];
+  const chartIds = finalOrder
+    .slice(0, CHART_COLORS.length)
+    .map((res) => res.id);
+
+  const rows = table
+    .map((res, i) => {
+      const history = replay.history[res.id];
+      const roundPoints = round > 0 ? history[round] - history[round - 1] : 0;
+      let move = "";
+      if (previous) {
+        const previousRank = previous.findIndex((d) => d.id === res.id) + 1;
+        if (i + 1 < previousRank) {
+          move = `<span class="rank-up">▲${previousRank - i - 1}</span>`;
+        } else if (i + 1 > previousRank) {
+          move = `<span class="rank-down">▼${i + 1 - previousRank}</span>`;
+        }
+      }
+      return `
+            <tr>
+                <td>${i + 1} ${move}</td>
+                <td>${escapeHtml(res.name)}</td>
+                <td>${escapeHtml(res.team)}</td>
+                <td>${roundPoints > 0 ? `+${roundPoints}` : "-"}</td>
+                <td>${res.finalPoints}</td>
+                <td>${res.finalWins}</td>
+                <td>${res.finalPodiums}</td>
+            </tr>
+        `;
+    })
+    .join("");
+
+  const title =
+    round === 0
+      ? "Before the first round"
+      : `After R${round} ${escapeHtml(replay.rounds[round - 1].name)}`;
+  replayResults.innerHTML = `
+    <h3>${title}</h3>
+    ${renderPointsChart(replay, { round, driverIds: chartIds })}
+    <table>
+      <thead>
+        <tr>
+          <th>Pos</th><th>Driver</th><th>Team</th><th>Round Pts</th>
+          <th>Pts</th><th>Wins</th><th>Podiums</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Carries on the simulation from the standings shown in the replay
+function useReplayStandings() {
+  const round = Number(replayRound.value);
+  useStandings(
+    replay.standings[round].map(toBaseDriver),
+    round === 0
+      ? "Season replay, before the first round."
+      : `Season replay, after R${round} ${replay.rounds[round - 1].name}.`
+  );
+}
+
+// Live Race Logic
+
+// Scores the final race from the standings before it, as the Strategy Room does
+function startLive(stop, message) {
+  stopLive();
+  const round = rounds.length - 1;
+  const finalRound = rounds[round];
+  // The fastest lap is ticked in the table's final round, as for a simulation
+  const entries = readRoundEntries();
+  const holder = finalRound.fastestLapBonus
+    ? drivers.find((driver, idx) => entries[idx][round].fastestLap)
+    : null;
+  liveRace = {
+    drivers: getStrategyDrivers(),
+    event: {
+      halfPoints: finalRound.halfPoints,
+      fastestLap: holder ? holder.id : null,
+    },
+  };
+  liveState = null;
+  liveSource = { stop };
+  liveStopBtn.disabled = false;
+  liveError.textContent = "";
+  liveStatus.textContent = message;
+  liveResults.innerHTML = "";
+}
+
+function stopLive() {
+  if (liveSource) liveSource.stop();
+  liveSource = null;
+  liveStopBtn.disabled = true;
+}
+
+// Ends the feed but keeps the last projection on screen
+function finishLive(message) {
+  stopLive();
+  liveStatus.textContent = message;
+}
+
+function connectLiveFeed() {
+  const url = liveUrl.value.trim();
+  if (!/^(wss?|https?):\/\//i.test(url)) {
+    liveError.textContent =
+      "Enter a WebSocket (ws://) or Server-Sent Events (http://) address.";
+    return;
+  }
+
+  try {
+    if (/^wss?:/i.test(url)) {
+      const socket = new WebSocket(url);
+      startLive(() => {
+        socket.onclose = null;
+        socket.close();
+      }, `Connecting to ${url}…`);
+      socket.onopen = () => {
+        liveStatus.textContent = `Connected to ${url}.`;
+      };
+      socket.onmessage = (e) => receiveLiveUpdate(e.data);
+      socket.onclose = () => finishLive(`${url} closed the connection.`);
+    } else {
+      const events = new EventSource(url);
+      startLive(() => events.close(), `Connecting to ${url}…`);
+      events.onopen = () => {
+        liveStatus.textContent = `Connected to ${url}.`;
+      };
+      events.onmessage = (e) => receiveLiveUpdate(e.data);
+      // Sent by live-server.mjs after the last update
+      events.addEventListener("end", () => finishLive("The feed has ended."));
+      events.onerror = () => {
+        if (events.readyState === EventSource.CLOSED) {
+          finishLive(`Could not connect to ${url}.`);
+        } else {
+          liveStatus.textContent = `Lost ${url}, reconnecting…`;
+        }
+      };
+    }
+  } catch (err) {
+    stopLive();
+    liveError.textContent = `${url}: ${err.message}`;
+  }
+}
+
+function loadLiveFeedFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let feed;
+    try {
+      feed = parseLiveFeed(reader.result, getStrategyDrivers());
+    } catch (err) {
+      liveError.textContent = `${file.name}: ${err.message}`;
+      return;
+    }
+
+    let next = 0;
+    const timer = setInterval(() => {
+      showLiveUpdate(feed.updates[next]);
+      next++;
+      if (next === feed.updates.length) {
+        finishLive(`${file.name}: replay finished.`);
+      }
+    }, feed.interval);
+    startLive(
+      () => clearInterval(timer),
+      `Replaying ${file.name} (${feed.updates.length} updates)…`
+    );
+  };
+  reader.onerror = () => {
+    liveError.textContent = `${file.name} could not be read.`;
+  };
+  reader.readAsText(file);
+}
+
+// A message from a connected feed; a broken one is skipped
+function receiveLiveUpdate(text) {
+  let update;
+  try {
+    update = parseLiveUpdate(JSON.parse(text), liveRace.drivers);
+  } catch (err) {
+    liveError.textContent = `Update skipped: ${err.message}`;
+    return;
+  }
+  liveError.textContent = "";
+  showLiveUpdate(update);
+}
+
+function showLiveUpdate(update) {
+  liveState = applyLiveUpdate(
+    liveState,
+    update,
+    liveRace.drivers,
+    liveRace.event
+  );
+  renderLive();
+}
+
+function describeLeadChange({ lap, outcome }, previous) {
+  const { champion, second, isTie } = outcome;
+  const name = (res) => escapeHtml(res.name);
+  if (isTie) {
+    return `Lap ${lap}: <strong>${name(champion)}</strong> and <strong>${name(
+      second
+    )}</strong> level on points and every countback position`;
+  }
+  if (!previous) {
+    return `Lap ${lap}: <strong>${name(champion)}</strong> projected champion`;
+  }
+  const before = previous.outcome;
+  const from = before.isTie
+    ? `${name(before.champion)} and ${name(before.second)}`
+    : name(before.champion);
+  return `Lap ${lap}: <strong>${name(
+    champion
+  )}</strong> takes the title lead from ${from}`;
+}
+
+// Arrow for a change since the last update, e.g. ▲2
+function describeLiveChange(value) {
+  if (value > 0) return `<span class="rank-up">▲${value}</span>`;
+  if (value < 0) return `<span class="rank-down">▼${-value}</span>`;
+  return "";
+}
+
+// Projected champion, the top ten with the changes since the last update,
+// and every change of the title lead, newest first
+function renderLive() {
+  const { lap, outcome, rows, leadChanges } = liveState;
+  const { champion, second, isTie } = outcome;
+  const summary = isTie
+    ? `<span class="champion-badge tie-badge">Tie</span> ` +
+      `<strong>${escapeHtml(champion.name)}</strong> and ` +
+      `<strong>${escapeHtml(second.name)}</strong> ` +
+      `level on ${champion.finalPoints} pts`
+    : `<span class="champion-badge">Projected champion</span> ` +
+      `<strong>${escapeHtml(champion.name)}</strong> (${escapeHtml(
+        champion.team
+      )}) with ` +
+      `<strong>${champion.finalPoints}</strong> points, ` +
+      `${champion.finalPoints - second.finalPoints} ahead of ${escapeHtml(
+        second.name
+      )}`;
+
+  const tableRows = rows
+    .slice(0, 10)
+    .map(
+      (row) => `
+            <tr>
+                <td>${row.position} ${describeLiveChange(row.move)}</td>
+                <td>${escapeHtml(row.name)}</td>
+                <td>${escapeHtml(row.team)}</td>
+                <td>${row.running ? `P${row.running}` : "Out"}</td>
+                <td>${row.points}</td>
+                <td>${row.gap || "-"} ${describeLiveChange(row.gapChange)}</td>
+            </tr>
+        `
+    )
+    .join("");
+
+  const log = leadChanges
+    .map(
+      (entry, i) => `<li>${describeLeadChange(entry, leadChanges[i - 1])}</li>`
+    )
+    .reverse()
+    .join("");
+
+  liveResults.innerHTML = `
+    <h3>As it stands, lap ${lap}</h3>
+    <p>${summary}</p>
+    <table>
+      <thead>
+        <tr>
+          <th>Pos</th><th>Driver</th><th>Team</th><th>Running</th>
+          <th>Pts</th><th>Gap</th>
+        </tr>
+      </thead>
+      <tbody>${tableRows}</tbody>
+    </table>
+    <h3>Title lead</h3>
+    <ol class="live-log">${log}</ol>
+  `;
+}
+
+// Championship Numbers Logic
+
+const STATUS_LABELS = {
+  clinched: "Champion",
+  contender: "In contention",
+  eliminated: "Out",
+};
+
+// "Out If Leader Scores" cell: nothing for the leader themselves
+function describeKnockout({ position, outIfLeaderScores }) {
+  if (position === 1) return "—";
+  if (outIfLeaderScores === 0) return "Out";
+  return outIfLeaderScores === null ? "–" : outIfLeaderScores;
+}
+
+// Magic numbers for the top ten and everyone still in contention
+function updateChampionshipNumbers() {
+  const show = (value) => (value === null ? "–" : value);
+  const rows = analyseChampionship(drivers, rounds)
+    .filter((row) => row.listed)
+    .map(
+      (row) => `
+            <tr class="status-${row.status}">
+                <td>${row.position}</td>
+                <td>${escapeHtml(row.driver.name)}</td>
+                <td>${row.points}</td>
+                <td>${row.maxPoints}</td>
+                <td>${show(row.clinchPoints)}</td>
+                <td>${describeKnockout(row)}</td>
+                <td>P${row.bestPosition} – P${row.worstPosition}${
+        row.worstPositionSettled ? "" : " or lower"
+      }</td>
+                <td>${STATUS_LABELS[row.status]}</td>
+            </tr>
+        `
+    )
+    .join("");
+
+  championshipNumbers.innerHTML = `
+    <div class="strategy-header">
+      <div>
+        <h2>Championship Numbers</h2>
+        <small>${getPointsAvailable(
+          rounds
+        )} points are still available to each driver over ${
+    rounds.length
+  } round${rounds.length === 1 ? "" : "s"}.</small>
+      </div>
+    </div>
+    <table>
+      <thead>
+        <tr>
+          <th>Pos</th><th>Driver</th><th>Pts</th><th>Max Possible</th>
+          <th>Clinches With</th><th>Out If Leader Scores</th>
+          <th>Final Position Range</th><th>Status</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Strategy Room Logic
+
+/**
+ * Standings going into the final round: the base data plus whatever has
+ * been entered for the earlier rounds in the manual table.
+ * @returns {Array} Base drivers
+ */
+function getStrategyDrivers() {
+  if (rounds.length <= 1) return drivers;
+
+  const entries = readOfficialEntries(readRoundEntries());
+  return drivers.map((driver, idx) =>
+    toBaseDriver(
+      calculateSeasonResult(driver, (entries[idx] || []).slice(0, -1))
+    )
+  );
+}
+
+// Settings of the final round, the one the Strategy Room searches
+function getStrategyRound() {
+  return rounds[rounds.length - 1];
+}
+
+const capitalize = (id) => id.charAt(0).toUpperCase() + id.slice(1);
+
+/**
+ * Builds one "path to glory" button per driver and per team that can still
+ * win, keeps the current selection if it is still there and refreshes it
+ * when the search's inputs have changed.
+ */
+function buildStrategyButtons() {
+  const active = strategyButtons.querySelector(".driver-select-btn.active");
+  const strategyDrivers = getStrategyDrivers();
+
+  const makeButton = (label, dataset) => {
+    const btn = document.createElement("button");
+    btn.className = "driver-select-btn";
+    btn.textContent = label;
+    Object.assign(btn.dataset, dataset);
+    if (active && isSameStrategy(active.dataset, dataset)) {
+      btn.classList.add("active");
+    }
+    return btn;
+  };
+
+  const contenders = getContenders(strategyDrivers, [getStrategyRound()]);
+  driverButtons.innerHTML = "";
+  contenders.forEach((driver) => {
+    driverButtons.appendChild(
+      makeButton(`${capitalize(driver.id)} Path to Glory`, {
+        driver: driver.id,
+      })
+    );
+  });
+
+  constructorButtons.innerHTML = "";
+  // Team totals need every car, see SEASONS
+  const constructorTeams = fullField
+    ? getConstructorContenders(strategyDrivers, getStrategyRound())
+    : [];
+  constructorTeams.forEach((teamName) => {
+    const btn = makeButton(`${teamName} Constructors' Path`, {
+      team: teamName,
+    });
+    btn.classList.add("constructor-btn");
+    constructorButtons.appendChild(btn);
+  });
+
+  // Team orders only matter while one of the cars can still win
+  teamOrderButtons.innerHTML = "";
+  const teamSizes = {};
+  strategyDrivers.forEach((d) => {
+    teamSizes[d.team] = (teamSizes[d.team] || 0) + 1;
+  });
+  [...new Set(contenders.map((d) => d.team))]
+    .filter((team) => teamSizes[team] > 1)
+    .forEach((teamName) => {
+      const btn = makeButton(`${teamName} team orders`, { orders: teamName });
+      btn.classList.add("team-orders-btn");
+      teamOrderButtons.appendChild(btn);
+    });
+
+  // The final race's own results don't enter the search, so simulating
+  // them leaves the cards and heatmap as they are
+  const inputs = JSON.stringify([
+    strategyDrivers,
+    getScoringSystem(),
+    getStrategyRound(),
+  ]);
+  if (inputs !== strategyInputs) {
+    strategyInputs = inputs;
+    runActiveStrategy();
+  }
+  updateUrl();
+}
+
+// Re-runs the analysis for whichever Strategy Room button is selected
+// Strategy buttons are told apart by their data: { driver }, { team } or { orders }
+function isSameStrategy(a, b) {
+  return ["driver", "team", "orders"].every((key) => a[key] === b[key]);
+}
+
+function runActiveStrategy() {
+  const activeBtn = strategyButtons.querySelector(".driver-select-btn.active");
+  if (!activeBtn) return;
+
+  if (activeBtn.dataset.team) {
+    runConstructorStrategyAnalysis(activeBtn.dataset.team);
+  } else if (activeBtn.dataset.orders) {
+    runTeamOrdersAnalysis(activeBtn.dataset.orders);
+  } else {
+    runStrategyAnalysis(activeBtn.dataset.driver);
+  }
+}
+
+function runConstructorStrategyAnalysis(teamName) {
+  constructorGroups = null;
+  startStrategySearch({ kind: "constructor", target: teamName }, ({ groups }) =>
+    showConstructorGroups(teamName, groups)
+  );
+}
+
+function showConstructorGroups(teamName, groups) {
+  exportStrategyBtn.disabled = groups.length === 0;
+  if (groups.length === 0) {
+    strategyResults.innerHTML = `<p>No scenarios found where ${escapeHtml(
+      teamName
+    )} win the Constructors' Championship.</p>`;
+    return;
+  }
+
+  constructorGroups = { teamName, groups };
+  strategyResults.innerHTML = groups
+    .map(
+      (group) => `
+            <div class="scenario-card">
+                <h4>${escapeHtml(group.title)}</h4>
+                <p>${group.conditions
+                  .map((condition) => escapeHtml(condition.text))
+                  .join(" OR <br>")}</p>
+            </div>
+        `
+    )
+    .join("");
+}
+
+function runTeamOrdersAnalysis(teamName) {
+  teamOrderGroups = null;
+  startStrategySearch(
+    { kind: "teamOrders", target: teamName },
+    ({ situations }) => showTeamOrders(teamName, situations)
+  );
+}
+
+function showTeamOrders(teamName, situations) {
+  if (situations.length === 0) {
+    strategyResults.innerHTML = `<p>Swapping the ${escapeHtml(
+      teamName
+    )} cars never changes the champion.</p>`;
+    return;
+  }
+
+  teamOrderGroups = { teamName, situations };
+  exportStrategyBtn.disabled = false;
+  strategyResults.innerHTML = `
+        <h3 class="team-orders-title">Team orders: ${escapeHtml(teamName)}</h3>
+        ${situations
+          .map((situation) => {
+            const card = describeTeamOrder(situation);
+            return `
+            <div class="scenario-card">
+                <h4>${escapeHtml(card.heading)}</h4>
+                <p>${escapeHtml(card.outcome)}</p>
+                <p>${card.conditions.map(escapeHtml).join(" OR <br>")}</p>
+            </div>
+        `;
+          })
+          .join("")}
+    `;
+}
+
+// Card text for one result of findTeamOrderScenarios()
+function describeTeamOrder({
+  ahead,
+  behind,
+  aheadPos,
+  behindPos,
+  asRun,
+  swapped,
+  conditions,
+}) {
+  const noPointsPos = getNoPointsPosition();
+  const place = (pos) => (pos >= noPointsPos ? "No Points" : `P${pos}`);
+  const champion = (id) =>
+    id ? `${capitalize(id)} is champion` : "tie on points and countback";
+  return {
+    heading: `${capitalize(ahead)} ${place(aheadPos)} ahead of ${capitalize(
+      behind
+    )} ${place(behindPos)}`,
+    outcome: `As they run: ${champion(asRun)}. Swapped: ${champion(swapped)}.`,
+    conditions: conditions.map((condition) => condition.text),
+  };
+}
+
+function runStrategyAnalysis(driverId) {
+  startStrategySearch(
+    { kind: "driver", target: driverId },
+    ({ groups, championMap }) =>
+      showStrategyGroups(driverId, groups, championMap)
+  );
+}
+
+/**
+ * Starts a Strategy Room search in worker.js, in place of any running one,
+ * with a progress bar and a Cancel button until it's done.
+ * @param {Object} search - { kind, target } as in runStrategySearch()
+ * @param {Function} showResult - Receives the search's result
+ */
+function startStrategySearch(search, showResult) {
+  cancelScenarioSearch();
+  exportStrategyBtn.disabled = true;
+  const request = {
+    ...search,
+    id: scenarioSearchId,
+    drivers: getStrategyDrivers(),
+    scoring: getScoringSystem(),
+    round: getStrategyRound(),
+  };
+  showSearchProgress(0);
+
+  let worker = null;
+  try {
+    worker = new Worker(new URL("./worker.js", import.meta.url), {
+      type: "module",
+    });
+  } catch (err) {
+    // No (module) worker support: search on the page instead
+  }
+  if (!worker) {
+    searchOnPage(request, showResult);
+    return;
+  }
+
+  scenarioWorker = worker;
+  worker.addEventListener("message", (e) => {
+    if (e.data.id !== scenarioSearchId) return;
+    if (e.data.type === "progress") {
+      showSearchProgress(e.data.done);
+    } else if (e.data.type === "error") {
+      stopScenarioWorker();
+      showStrategyError(e.data.message);
+    } else {
+      stopScenarioWorker();
+      showResult(e.data);
+    }
+  });
+  worker.addEventListener("error", (e) => {
+    e.preventDefault();
+    if (worker !== scenarioWorker) return;
+    stopScenarioWorker();
+    searchOnPage(request, showResult);
+  });
+  worker.postMessage(request);
+}
+
+// Fallback for browsers that can't run worker.js. Blocks the page while it runs.
+function searchOnPage(request, showResult) {
+  setTimeout(() => {
+    if (request.id !== scenarioSearchId) return;
+    let result;
+    try {
+      result = runStrategySearch(request);
+    } catch (err) {
+      showStrategyError(err.message);
+      return;
+    }
+    showResult(result);
+  }, 10);
+}
+
+function stopScenarioWorker() {
+  if (scenarioWorker) scenarioWorker.terminate();
+  scenarioWorker = null;
+}
+
+// Drops the running search, if any. Late messages from it are ignored.
+function cancelScenarioSearch() {
+  stopScenarioWorker();
+  scenarioSearchId++;
+  // The heatmap belongs to the search's results; its choices are kept for
+  // the next one
+  strategyHeatmap.innerHTML = "";
+}
+
+function showSearchProgress(done) {
+  const percent = `${Math.round(done * 100)}%`;
+  const bar = strategyResults.querySelector(".search-progress progress");
+  if (bar) {
+    bar.value = done;
+    strategyResults.querySelector(".search-percent").textContent = percent;
+    return;
+  }
+  strategyResults.innerHTML = `
+        <div class="search-progress">
+            <p>Calculating scenarios... <span class="search-percent">${percent}</span></p>
+            <progress max="1" value="${done}"></progress>
+            <button class="cancel-search-btn">Cancel</button>
+        </div>
+    `;
+}
+
+// A search the final round's settings don't allow
+function showStrategyError(message) {
+  strategyGroups = null;
+  exportStrategyBtn.disabled = true;
+  strategyResults.innerHTML = `<p class="error-text">${escapeHtml(
+    message
+  )}</p>`;
+}
+
+function showStrategyGroups(driverId, groups, championMap) {
+  showHeatmap(driverId, championMap);
+  exportStrategyBtn.disabled = groups.length === 0;
+  if (groups.length === 0) {
+    strategyGroups = null;
+    strategyResults.innerHTML = `<p>No scenarios found where ${driverId} wins the title given the constraints.</p>`;
+    return;
+  }
+
+  strategyGroups = { driverId, groups };
+  // A loaded combination only survives while it still exists
+  if (activeScenario && !getActiveScenario()) activeScenario = null;
+  renderStrategyCards();
+}
+
+// The combination loaded from a card, or null
+function getActiveScenario() {
+  if (!activeScenario || !strategyGroups) return null;
+  if (activeScenario.driverId !== strategyGroups.driverId) return null;
+  const group = strategyGroups.groups[activeScenario.group];
+  const condition = group && group.conditions[activeScenario.condition];
+  return (condition && condition.scenarios[activeScenario.index]) || null;
+}
+
+function renderStrategyCards() {
+  const { driverId, groups } = strategyGroups;
+  const noPointsPos = getNoPointsPosition();
+
+  strategyResults.innerHTML = groups
+    .map((group, g) => {
+      const conditions = group.conditions
+        .map((condition, c) => {
+          const isActive =
+            getActiveScenario() &&
+            activeScenario.group === g &&
+            activeScenario.condition === c;
+          let stepper = "";
+          if (isActive) {
+            const scenario = condition.scenarios[activeScenario.index];
+            const order = Object.keys(scenario)
+              .filter((key) => key.endsWith("Pos"))
+              .map((key) => {
+                const pos = scenario[key];
+                const id = key.slice(0, -"Pos".length);
+                return `${capitalize(id)} ${
+                  pos >= noPointsPos ? "No Points" : `P${pos}`
+                }`;
+              })
+              .concat(
+                scenario.fastestLap
+                  ? [`fastest lap ${capitalize(scenario.fastestLap)}`]
+                  : []
+              )
+              .join(", ");
+            stepper = `
+                <div class="scenario-stepper">
+                    <button class="scenario-step" data-step="-1" ${
+                      activeScenario.index === 0 ? "disabled" : ""
+                    }>◀</button>
+                    <span>${activeScenario.index + 1} of ${
+              condition.scenarios.length
+            }: ${escapeHtml(order)}</span>
+                    <button class="scenario-step" data-step="1" ${
+                      activeScenario.index === condition.scenarios.length - 1
+                        ? "disabled"
+                        : ""
+                    }>▶</button>
+                </div>
+            `;
+          }
+          return `
+              <button class="condition-btn${
+                isActive ? " active" : ""
+              }" data-group="${g}" data-condition="${c}" title="Load into the table">${escapeHtml(
+            condition.text
+          )}</button>${stepper}`;
+        })
+        .join('<span class="condition-or">OR</span>');
+
+      return `
+            <div class="scenario-card">
+                <h4>If ${escapeHtml(capitalize(driverId))} finishes <strong>${
+        group.position
+      }</strong></h4>
+                ${conditions}
+            </div>
+        `;
+    })
+    .join("");
+}
+
+function handleScenarioClick(e) {
+  const conditionBtn = e.target.closest(".condition-btn");
+  const stepBtn = e.target.closest(".scenario-step");
+  if (e.target.closest(".cancel-search-btn")) {
+    cancelScenarioSearch();
+    strategyGroups = null;
+    constructorGroups = null;
+    teamOrderGroups = null;
+    exportStrategyBtn.disabled = true;
+    strategyResults.innerHTML = "<p>Search cancelled.</p>";
+  } else if (conditionBtn) {
+    loadScenario(
+      Number(conditionBtn.dataset.group),
+      Number(conditionBtn.dataset.condition),
+      0
+    );
+  } else if (stepBtn && activeScenario) {
+    loadScenario(
+      activeScenario.group,
+      activeScenario.condition,
+      activeScenario.index + Number(stepBtn.dataset.step)
+    );
+  }
+}
+
+/**
+ * Puts one concrete winning combination into the final round of the table
+ * and simulates it. Contenders get exactly the positions the Strategy Room
+ * used, and the fastest lap where it names one (no sprint or penalty);
+ * anyone else holding one of those places, or the fastest lap then, loses
+ * it.
+ * @param {number} group - Index into the rendered cards
+ * @param {number} condition - Index of the condition within the card
+ * @param {number} index - Index of the combination behind the condition
+ */
+function loadScenario(group, condition, index) {
+  const { driverId, groups } = strategyGroups;
+  const scenarios = groups[group].conditions[condition].scenarios;
+  if (index < 0 || index >= scenarios.length) return;
+  activeScenario = { driverId, group, condition, index };
+
+  const round = rounds.length - 1;
+  const entries = applyScenarioToEntries(
+    readRoundEntries(),
+    scenarios[index],
+    drivers
+  );
+  const entryOf = (el) => entries[el.dataset.idx][round];
+  const inRound = (selector) =>
+    tbody.querySelectorAll(`${selector}[data-round="${round}"]`);
+
+  inRound(".status-select").forEach((select) => {
+    select.value = entryOf(select).status;
+  });
+  inRound('select[data-event="gp"]').forEach((select) => {
+    const { pos, status } = entryOf(select);
+    select.value = pos === null ? "" : pos.toString();
+    select.disabled = status !== "finished";
+  });
+  inRound('select[data-event="sprint"]').forEach((select) => {
+    const { sprintPos } = entryOf(select);
+    select.value = sprintPos === null ? "" : sprintPos.toString();
+  });
+  inRound(".fastest-lap-toggle input").forEach((checkbox) => {
+    checkbox.checked = entryOf(checkbox).fastestLap;
+  });
+  // Every penalty is cleared, see applyScenarioToEntries()
+  inRound(".penalty-select").forEach((select) => {
+    select.value = "";
+  });
+
+  recordChange();
+  runSimulation();
+}
+
+// Outcome Heatmap Logic
+
+// Shows the heatmap for a driver from the search's champion map. The rival,
+// slice and fastest lap chosen last time are kept where they still apply;
+// otherwise it starts against the best placed rival, with everyone else out
+// of the points
+function showHeatmap(driverId, championMap) {
+  const rivalIds = championMap.ids.filter((id) => id !== driverId);
+  if (rivalIds.length === 0) {
+    heatmap = null;
+    strategyHeatmap.innerHTML = "";
+    return;
+  }
+
+  const last = heatmap || { slice: {}, fastestLap: null };
+  const rivalId = rivalIds.includes(last.rivalId) ? last.rivalId : rivalIds[0];
+  const noPointsPos = getNoPointsPosition();
+  const slice = {};
+  rivalIds
+    .filter((id) => id !== rivalId)
+    .forEach((id) => {
+      // A place past the points of a new scoring system means none
+      const pos = last.slice[id];
+      slice[id] = pos && pos <= noPointsPos ? pos : noPointsPos;
+    });
+  heatmap = {
+    driverId,
+    rivalId,
+    slice,
+    fastestLap:
+      championMap.fastestLapBonus && championMap.ids.includes(last.fastestLap)
+        ? last.fastestLap
+        : null,
+    championMap,
+  };
+  renderHeatmap();
+}
+
+function handleHeatmapChange(e) {
+  const select = e.target.closest("select");
+  if (!select || !heatmap) return;
+
+  if (select.dataset.heatmap === "rival") {
+    // The old rival takes the new one's place in the slice
+    const { rivalId, slice } = heatmap;
+    slice[rivalId] = slice[select.value];
+    delete slice[select.value];
+    heatmap.rivalId = select.value;
+  } else if (select.dataset.heatmap === "fastestLap") {
+    heatmap.fastestLap = select.value || null;
+  } else {
+    heatmap.slice[select.dataset.slice] = Number(select.value);
+  }
+  renderHeatmap();
+}
+
+// Grid of the driver's place (columns) against the rival's (rows), each
+// cell coloured by the champion
+function renderHeatmap() {
+  const { driverId, rivalId, slice, fastestLap, championMap } = heatmap;
+  const noPointsPos = getNoPointsPosition();
+  const placeLabel = (pos) => (pos >= noPointsPos ? "NP" : `P${pos}`);
+  const shortName = (id) => id.slice(0, 3).toUpperCase();
+  const colorOf = (id) =>
+    CHART_COLORS[championMap.ids.indexOf(id) % CHART_COLORS.length];
+  const places = [];
+  for (let pos = 1; pos <= noPointsPos; pos++) places.push(pos);
+  const placeOptions = (selected) =>
+    places
+      .map(
+        (pos) =>
+          `<option value="${pos}" ${pos === selected ? "selected" : ""}>${
+            pos >= noPointsPos ? "No Points" : `P${pos}`
+          }</option>`
+      )
+      .join("");
+
+  const rivalOptions = championMap.ids
+    .filter((id) => id !== driverId)
+    .map(
+      (id) =>
+        `<option value="${id}" ${id === rivalId ? "selected" : ""}>${capitalize(
+          id
+        )}</option>`
+    )
+    .join("");
+  const sliceControls = Object.keys(slice)
+    .map(
+      (id) => `
+          <label>${capitalize(id)}
+            <select data-slice="${id}">${placeOptions(slice[id])}</select>
+          </label>`
+    )
+    .join("");
+
+  // A holder outside the top 10 scores nothing, as in the table
+  const fastestLapControl = championMap.fastestLapBonus
+    ? `
+          <label>Fastest lap
+            <select data-heatmap="fastestLap">
+              <option value="">No contender</option>
+              ${championMap.ids
+                .map(
+                  (id) =>
+                    `<option value="${id}" ${
+                      id === fastestLap ? "selected" : ""
+                    }>${capitalize(id)}</option>`
+                )
+                .join("")}
+            </select>
+          </label>`
+    : "";
+
+  const rows = buildOutcomeGrid(
+    championMap,
+    driverId,
+    rivalId,
+    slice,
+    fastestLap
+  )
+    .map(({ rivalPos, cells }) => {
+      const tds = cells
+        .map(({ targetPos, champion, impossible }) => {
+          const where = `${capitalize(driverId)} ${placeLabel(
+            targetPos
+          )}, ${capitalize(rivalId)} ${placeLabel(rivalPos)}`;
+          if (impossible) {
+            return `<td class="impossible" title="${where}: not possible">–</td>`;
+          }
+          if (!champion) {
+            return `<td class="tie" title="${where}: tie">=</td>`;
+          }
+          return `<td style="background: ${colorOf(
+            champion
+          )}" title="${where}: ${capitalize(champion)} champion">${shortName(
+            champion
+          )}</td>`;
+        })
+        .join("");
+      return `<tr><th>${placeLabel(rivalPos)}</th>${tds}</tr>`;
+    })
+    .join("");
+
+  const legend = championMap.ids
+    .map(
+      (id) =>
+        `<span><i style="background: ${colorOf(id)}"></i>${capitalize(
+          id
+        )}</span>`
+    )
+    .join("");
+
+  strategyHeatmap.innerHTML = `
+    <h3>Title map: ${capitalize(driverId)} against ${capitalize(rivalId)}</h3>
+    <div class="heatmap-controls">
+      <label>Rival
+        <select data-heatmap="rival">${rivalOptions}</select>
+      </label>
+      ${sliceControls}
+      ${fastestLapControl}
+    </div>
+    <table class="heatmap">
+      <thead>
+        <tr>
+          <th>${shortName(rivalId)} ↓ / ${shortName(driverId)} →</th>
+          ${places.map((pos) => `<th>${placeLabel(pos)}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="heatmap-legend">
+      ${legend}
+      <span><i class="tie"></i>= Tie</span>
+      <span><i class="impossible"></i>– Same place</span>
+    </div>
+  `;
+}
+
+// Title Probabilities Logic
+
+/**
+ * Builds one likely-finish row per contender. Settings already chosen for
+ * a driver are kept when the list is rebuilt.
+ */
+function buildDistributionInputs() {
+  const previous = {};
+  distributionBody.querySelectorAll("tr").forEach((tr) => {
+    previous[tr.dataset.driver] = {
+      preset: tr.querySelector(".preset-select").value,
+      weights: tr.querySelector(".weights-input").value,
+      dnf: tr.querySelector(".dnf-input").value,
+    };
+  });
+
+  distributionBody.innerHTML = "";
+  getContenders(drivers, rounds).forEach((driver) => {
+    const tr = document.createElement("tr");
+    tr.dataset.driver = driver.id;
+
+    const select = document.createElement("select");
+    select.className = "preset-select";
+    Object.entries(DISTRIBUTION_PRESETS).forEach(([key, preset]) => {
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = preset.label;
+      select.appendChild(opt);
+    });
+    const custom = document.createElement("option");
+    custom.value = "custom";
+    custom.textContent = "Custom…";
+    select.appendChild(custom);
+
+    const weights = document.createElement("input");
+    weights.type = "text";
+    weights.className = "weights-input";
+
+    const dnf = document.createElement("input");
+    dnf.type = "number";
+    dnf.min = "0";
+    dnf.max = "100";
+    dnf.className = "dnf-input";
+
+    const saved = previous[driver.id];
+    select.value = saved ? saved.preset : "frontrunner";
+    if (saved && saved.preset === "custom") {
+      weights.value = saved.weights;
+      dnf.value = saved.dnf;
+    }
+
+    [driver.name, select, weights, dnf].forEach((content) => {
+      const td = document.createElement("td");
+      if (typeof content === "string") td.textContent = content;
+      else td.appendChild(content);
+      tr.appendChild(td);
+    });
+    distributionBody.appendChild(tr);
+    showPresetValues(tr);
+  });
+  probabilityResults.innerHTML = "";
+}
+
+// Fills a row's inputs from its preset; only a custom row can be edited
+function showPresetValues(tr) {
+  const key = tr.querySelector(".preset-select").value;
+  const weights = tr.querySelector(".weights-input");
+  const dnf = tr.querySelector(".dnf-input");
+  const isCustom = key === "custom";
+
+  weights.disabled = !isCustom;
+  dnf.disabled = !isCustom;
+  if (isCustom) return;
+
+  const preset = DISTRIBUTION_PRESETS[key];
+  weights.value = preset.weights.join(", ");
+  dnf.value = preset.dnf * 100;
+}
+
+function handleDistributionChange(e) {
+  if (!e.target.classList.contains("preset-select")) return;
+  showPresetValues(e.target.closest("tr"));
+}
+
+/**
+ * Reads every contender's likely-finish distribution from the inputs.
+ * @returns {Object} Driver id -> { weights, dnf }
+ */
+function readDistributions() {
+  const distributions = {};
+  distributionBody.querySelectorAll("tr").forEach((tr) => {
+    const text = tr.querySelector(".weights-input").value;
+    const weights = text
+      .split(/[\s,;]+/)
+      .filter((v) => v !== "")
+      .map((v) => Number(v));
+    if (weights.some((w) => isNaN(w))) {
+      throw new Error(`"${text}" is not a list of weights.`);
+    }
+    distributions[tr.dataset.driver] = {
+      weights,
+      dnf: Number(tr.querySelector(".dnf-input").value) / 100,
+    };
+  });
+  return distributions;
+}
+
+function runProbabilityAnalysis() {
+  let distributions;
+  try {
+    distributions = readDistributions();
+  } catch (err) {
+    mcError.textContent = err.message;
+    return;
+  }
+  mcError.textContent = "";
+  probabilityResults.innerHTML = "<p>Running simulations...</p>";
+
+  setTimeout(() => {
+    let result;
+    try {
+      result = runMonteCarlo({
+        drivers: getContenders(drivers, rounds),
+        distributions,
+        rounds,
+        iterations: Number(mcIterations.value),
+        seed: Number(mcSeed.value),
+      });
+    } catch (err) {
+      probabilityResults.innerHTML = "";
+      mcError.textContent = err.message;
+      return;
+    }
+
+    const percent = (value) => `${(value * 100).toFixed(1)}%`;
+    const rows = [...result.drivers]
+      .sort((a, b) => b.titles - a.titles)
+      .map(
+        (driver) => `
+            <tr>
+                <td>${escapeHtml(driver.name)}</td>
+                <td>${driver.titles}</td>
+                <td>
+                    <span class="probability-bar" style="width: ${
+                      driver.probability * 100
+                    }px"></span>${percent(driver.probability)}
+                </td>
+                <td>${percent(driver.interval[0])} – ${percent(
+          driver.interval[1]
+        )}</td>
+            </tr>
+        `
+      )
+      .join("");
+
+    probabilityResults.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Driver</th>
+                    <th>Titles</th>
+                    <th>Probability</th>
+                    <th>95% Interval</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p><small>${result.iterations} simulations, seed ${result.seed}${
+      result.ties ? `, ${result.ties} ended in an unbreakable tie` : ""
+    }.</small></p>
+    `;
   }, 10);
 }
 
@@ -1,9 +1,67 @@
-// Points for a full Grand Prix (P1..P10). Index = finishing position.
-// P0 is dummy, P1=25, P2=18, etc.
-export const RACE_POINTS = [0, 25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+// Points systems the engine can score with. Index = finishing position,
+// P0 is dummy (P1=25, P2=18, etc for the 2010+ race table).
+// sprint is null for eras without sprint races.
+export const SCORING_SYSTEMS = {
+  "2010+": {
+    id: "2010+",
+    name: "2010+ (25-18-15-12-10-8-6-4-2-1)",
+    race: [0, 25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+    sprint: [0, 8, 7, 6, 5, 4, 3, 2, 1],
+  },
+  "2003-2009": {
+    id: "2003-2009",
+    name: "2003–2009 (10-8-6-5-4-3-2-1)",
+    race: [0, 10, 8, 6, 5, 4, 3, 2, 1],
+    sprint: null,
+  },
+  "1991-2002": {
+    id: "1991-2002",
+    name: "1991–2002 (10-6-4-3-2-1)",
+    race: [0, 10, 6, 4, 3, 2, 1],
+    sprint: null,
+  },
+};
+
+// The system used when nothing else is selected
+export const DEFAULT_SCORING_SYSTEM = "2010+";
+
+// Bonus for the fastest lap of a Grand Prix (used 2019-2024).
+// Only awarded when the driver also finishes in the top 10.
+export const FASTEST_LAP_POINTS = 1;
 
-// Base driver data
-// Note: We might want to flag the title contenders explicitly
+// Cars on the grid in a race
+export const GRID_SIZE = 20;
+
+// How a driver's Grand Prix ended. Only a finisher is classified and scores.
+export const RESULT_STATUSES = {
+  finished: "Finished",
+  dnf: "DNF",
+  dns: "DNS",
+  dsq: "DSQ",
+};
+
+// Rounds still to be run. The 2025 title goes down to the wire, so only the
+// season finale is left. Extra rounds can be added from the UI to use the
+// simulator earlier in a season.
+// sprint: the weekend also has a sprint race
+// fastestLapBonus: the Grand Prix awards FASTEST_LAP_POINTS
+// halfPoints: the Grand Prix was shortened and pays half points
+export const REMAINING_ROUNDS = [
+  {
+    name: "Abu Dhabi",
+    sprint: false,
+    fastestLapBonus: false,
+    halfPoints: false,
+  },
+];
+
+// Base driver data, replaced in the app when a standings file is imported
+// (see importer.js).
+// Title contenders are worked out from the points (see getContenders in
+// scenarios.js), so no driver is flagged by hand.
+// finishes: Grand Prix finish counts per position, used for the countback
+// tie-break (index 0 = P1s, 1 = P2s, ...). Positions past the end of the
+// list count as 0; drivers without it fall back to their win count.
 export const BASE_DRIVERS = [
   {
     id: "norris",
@@ -13,7 +71,7 @@ export const BASE_DRIVERS = [
     points: 408,
     wins: 7,
     podiums: 17,
-    isContender: true,
+    finishes: [7, 8, 2],
   },
   {
     id: "verstappen",
@@ -23,7 +81,7 @@ export const BASE_DRIVERS = [
     points: 396,
     wins: 7,
     podiums: 14,
-    isContender: true,
+    finishes: [7, 4, 3],
   },
   {
     id: "piastri",
@@ -33,7 +91,7 @@ export const BASE_DRIVERS = [
     points: 392,
     wins: 7,
     podiums: 15,
-    isContender: true,
+    finishes: [7, 4, 4],
   },
   {
     id: "russell",
@@ -43,142 +101,437 @@ export const BASE_DRIVERS = [
     points: 309,
     wins: 2,
     podiums: 9,
-    isContender: false,
+    finishes: [2, 2, 5],
   },
   {
+    id: "leclerc",
     name: "C. Leclerc",
     team: "Ferrari",
     country: "Monaco",
     points: 230,
     wins: 0,
     podiums: 7,
+    finishes: [0, 1, 6],
   },
   {
+    id: "hamilton",
     name: "L. Hamilton",
     team: "Ferrari",
     country: "United Kingdom",
     points: 152,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "antonelli",
     name: "A.K. Antonelli",
     team: "Mercedes",
     country: "Italy",
     points: 150,
     wins: 0,
     podiums: 3,
+    finishes: [0, 1, 2],
   },
   {
+    id: "albon",
     name: "A. Albon",
     team: "Williams",
     country: "Thailand",
     points: 73,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "sainz",
     name: "C. Sainz Jr.",
     team: "Williams",
     country: "Spain",
     points: 64,
     wins: 0,
     podiums: 2,
+    finishes: [0, 0, 2],
   },
   {
+    id: "hadjar",
     name: "I. Hadjar",
     team: "RB",
     country: "France",
     points: 51,
     wins: 0,
     podiums: 1,
+    finishes: [0, 0, 1],
   },
   {
+    id: "hulkenberg",
     name: "N. Hülkenberg",
     team: "Kick Sauber",
     country: "Germany",
     points: 49,
     wins: 0,
     podiums: 1,
+    finishes: [0, 0, 1],
   },
   {
+    id: "alonso",
     name: "F. Alonso",
     team: "Aston Martin",
     country: "Spain",
     points: 48,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "bearman",
     name: "O. Bearman",
     team: "Haas",
     country: "United Kingdom",
     points: 41,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "lawson",
     name: "L. Lawson",
     team: "RB",
     country: "New Zealand",
     points: 38,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "tsunoda",
     name: "Y. Tsunoda",
     team: "Red Bull",
     country: "Japan",
     points: 33,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "ocon",
     name: "E. Ocon",
     team: "Haas",
     country: "France",
     points: 32,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "stroll",
     name: "L. Stroll",
     team: "Aston Martin",
     country: "Canada",
     points: 32,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "gasly",
     name: "P. Gasly",
     team: "Alpine",
     country: "France",
     points: 22,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "bortoleto",
     name: "G. Bortoleto",
     team: "Kick Sauber",
     country: "Brazil",
     points: 19,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "colapinto",
     name: "F. Colapinto",
     team: "Alpine",
     country: "Argentina",
     points: 0,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
   {
+    id: "doohan",
     name: "J. Doohan",
     team: "Alpine",
     country: "Australia",
     points: 0,
     wins: 0,
     podiums: 0,
+    finishes: [],
   },
 ];
+
+// Championship finales the simulator can load from the season picker, keyed
+// by id. Each holds the standings going into the final race (BASE_DRIVERS
+// layout), the race left (REMAINING_ROUNDS layout) and the points system of
+// the time.
+// fullField: the standings list every driver. The historical seasons only
+// list the drivers still in the title fight, so the Constructors'
+// Championship, which needs every car, is left out for them.
+// description: shown under the picker; for past seasons, how it ended.
+export const SEASONS = {
+  2007: {
+    id: "2007",
+    year: 2007,
+    race: "Brazilian Grand Prix",
+    scoring: "2003-2009",
+    fullField: false,
+    description:
+      "Three drivers within seven points. Räikkönen won the race and the title by one point; Hamilton (7th) and Alonso (3rd) finished level on 109, Hamilton ahead on second places.",
+    rounds: [
+      {
+        name: "Brazil",
+        sprint: false,
+        fastestLapBonus: false,
+        halfPoints: false,
+      },
+    ],
+    drivers: [
+      {
+        id: "hamilton",
+        name: "L. Hamilton",
+        team: "McLaren",
+        country: "United Kingdom",
+        points: 107,
+        wins: 4,
+        podiums: 12,
+        finishes: [4, 5, 3],
+      },
+      {
+        id: "alonso",
+        name: "F. Alonso",
+        team: "McLaren",
+        country: "Spain",
+        points: 103,
+        wins: 4,
+        podiums: 11,
+        finishes: [4, 4, 3],
+      },
+      {
+        id: "raikkonen",
+        name: "K. Räikkönen",
+        team: "Ferrari",
+        country: "Finland",
+        points: 100,
+        wins: 5,
+        podiums: 11,
+        finishes: [5, 2, 4],
+      },
+      // Out of the title fight, but able to let Räikkönen by
+      {
+        id: "massa",
+        name: "F. Massa",
+        team: "Ferrari",
+        country: "Brazil",
+        points: 86,
+        wins: 3,
+        podiums: 9,
+        finishes: [3, 3, 3],
+      },
+    ],
+  },
+  2008: {
+    id: "2008",
+    year: 2008,
+    race: "Brazilian Grand Prix",
+    scoring: "2003-2009",
+    fullField: false,
+    description:
+      "Massa won his home race, but Hamilton took fifth place on the last lap and the title by one point.",
+    rounds: [
+      {
+        name: "Brazil",
+        sprint: false,
+        fastestLapBonus: false,
+        halfPoints: false,
+      },
+    ],
+    drivers: [
+      {
+        id: "hamilton",
+        name: "L. Hamilton",
+        team: "McLaren",
+        country: "United Kingdom",
+        points: 94,
+        wins: 5,
+        podiums: 10,
+        finishes: [5, 2, 3],
+      },
+      {
+        id: "massa",
+        name: "F. Massa",
+        team: "Ferrari",
+        country: "Brazil",
+        points: 87,
+        wins: 5,
+        podiums: 9,
+        finishes: [5, 2, 2],
+      },
+    ],
+  },
+  2010: {
+    id: "2010",
+    year: 2010,
+    race: "Abu Dhabi Grand Prix",
+    scoring: "2010+",
+    fullField: false,
+    description:
+      "Four drivers in contention. Vettel, third in the standings, won the race and the title by four points; leader Alonso finished 7th.",
+    rounds: [
+      {
+        name: "Abu Dhabi",
+        sprint: false,
+        fastestLapBonus: false,
+        halfPoints: false,
+      },
+    ],
+    drivers: [
+      {
+        id: "alonso",
+        name: "F. Alonso",
+        team: "Ferrari",
+        country: "Spain",
+        points: 246,
+        wins: 5,
+        podiums: 10,
+        finishes: [5, 2, 3],
+      },
+      {
+        id: "webber",
+        name: "M. Webber",
+        team: "Red Bull",
+        country: "Australia",
+        points: 238,
+        wins: 4,
+        podiums: 10,
+        finishes: [4, 4, 2],
+      },
+      {
+        id: "vettel",
+        name: "S. Vettel",
+        team: "Red Bull",
+        country: "Germany",
+        points: 231,
+        wins: 4,
+        podiums: 9,
+        finishes: [4, 2, 3],
+      },
+      {
+        id: "hamilton",
+        name: "L. Hamilton",
+        team: "McLaren",
+        country: "United Kingdom",
+        points: 222,
+        wins: 3,
+        podiums: 8,
+        finishes: [3, 4, 1],
+      },
+    ],
+  },
+  2016: {
+    id: "2016",
+    year: 2016,
+    race: "Abu Dhabi Grand Prix",
+    scoring: "2010+",
+    fullField: false,
+    description:
+      "Hamilton won the race, backing his teammate into the pack, but Rosberg's second place took the title by five points.",
+    rounds: [
+      {
+        name: "Abu Dhabi",
+        sprint: false,
+        fastestLapBonus: false,
+        halfPoints: false,
+      },
+    ],
+    drivers: [
+      {
+        id: "rosberg",
+        name: "N. Rosberg",
+        team: "Mercedes",
+        country: "Germany",
+        points: 367,
+        wins: 9,
+        podiums: 15,
+        finishes: [9, 4, 2],
+      },
+      {
+        id: "hamilton",
+        name: "L. Hamilton",
+        team: "Mercedes",
+        country: "United Kingdom",
+        points: 355,
+        wins: 9,
+        podiums: 16,
+        finishes: [9, 3, 4],
+      },
+    ],
+  },
+  2021: {
+    id: "2021",
+    year: 2021,
+    race: "Abu Dhabi Grand Prix",
+    scoring: "2010+",
+    fullField: false,
+    description:
+      "Level on points going in. Verstappen passed Hamilton on the last lap to win the race and the title.",
+    rounds: [
+      {
+        name: "Abu Dhabi",
+        sprint: false,
+        fastestLapBonus: true,
+        halfPoints: false,
+      },
+    ],
+    drivers: [
+      {
+        id: "verstappen",
+        name: "M. Verstappen",
+        team: "Red Bull",
+        country: "Netherlands",
+        points: 369.5,
+        wins: 9,
+        podiums: 17,
+        finishes: [9, 8, 0],
+      },
+      {
+        id: "hamilton",
+        name: "L. Hamilton",
+        team: "Mercedes",
+        country: "United Kingdom",
+        points: 369.5,
+        wins: 8,
+        podiums: 16,
+        finishes: [8, 7, 1],
+      },
+    ],
+  },
+  2025: {
+    id: "2025",
+    year: 2025,
+    race: "Abu Dhabi Grand Prix",
+    scoring: DEFAULT_SCORING_SYSTEM,
+    fullField: true,
+    description:
+      "Three drivers in contention going into the final race, two of them teammates.",
+    rounds: REMAINING_ROUNDS,
+    drivers: BASE_DRIVERS,
+  },
+};
+
+// The season loaded when a link doesn't name one
+export const DEFAULT_SEASON = "2025";
@@ -1,38 +1,431 @@
-import { RACE_POINTS } from "./data.js";
+import {
+  SCORING_SYSTEMS,
+  DEFAULT_SCORING_SYSTEM,
+  FASTEST_LAP_POINTS,
+  RESULT_STATUSES,
+  GRID_SIZE,
+} from "./data.js";
+
+// Points system every calculation reads. Changed through setScoringSystem().
+let scoringSystem = SCORING_SYSTEMS[DEFAULT_SCORING_SYSTEM];
+
+// A points table must start with the dummy P0 entry and hold at least P1
+function isValidPointsTable(table) {
+  return (
+    Array.isArray(table) &&
+    table.length >= 2 &&
+    table.every((pts) => typeof pts === "number" && isFinite(pts) && pts >= 0)
+  );
+}
+
+/**
+ * Selects the points system used by every calculation.
+ * @param {string|Object} system - An id from SCORING_SYSTEMS, or a custom
+ *   { id, name, race, sprint } object using the same table layout
+ * @returns {Object} The system now in use
+ */
+export function setScoringSystem(system) {
+  const next = typeof system === "string" ? SCORING_SYSTEMS[system] : system;
+
+  if (!next) {
+    throw new Error(`Unknown scoring system "${system}".`);
+  }
+  if (!isValidPointsTable(next.race)) {
+    throw new Error("Race points must be a list of non-negative numbers.");
+  }
+  if (next.sprint != null && !isValidPointsTable(next.sprint)) {
+    throw new Error("Sprint points must be a list of non-negative numbers.");
+  }
+
+  scoringSystem = next;
+  return scoringSystem;
+}
+
+/**
+ * @returns {Object} The points system currently in use
+ */
+export function getScoringSystem() {
+  return scoringSystem;
+}
 
 /**
  * Calculates the final state for a driver given a race result.
  * @param {Object} baseDriver - The driver object from BASE_DRIVERS
- * @param {number|null} finishingPos - Position 1..21, or null for no points
+ * @param {number|null} finishingPos - Position 1..GRID_SIZE, or null for no classified finish
+ * @param {Object} [event] - Event settings
+ * @param {string} [event.type] - "gp" (default) or "sprint"
+ * @param {boolean} [event.fastestLap] - Driver set the fastest lap (GP only)
+ * @param {boolean} [event.halfPoints] - Shortened race, half points awarded
  * @returns {Object} Enriched driver result object
  */
-export function calculateDriverResult(baseDriver, finishingPos) {
-  const racePoints =
-    finishingPos != null && finishingPos <= 10 && finishingPos >= 1
-      ? RACE_POINTS[finishingPos]
+export function calculateDriverResult(baseDriver, finishingPos, event = {}) {
+  const isSprint = event.type === "sprint";
+  // Eras without sprints score nothing for them
+  const pointsTable = isSprint
+    ? scoringSystem.sprint || [0]
+    : scoringSystem.race;
+  const inPoints = (table) =>
+    finishingPos != null && finishingPos >= 1 && finishingPos < table.length;
+
+  const positionPoints = inPoints(pointsTable) ? pointsTable[finishingPos] : 0;
+  // The fastest-lap bonus is only paid out to a top-10 finisher
+  const bonusPoints =
+    !isSprint &&
+    event.fastestLap &&
+    finishingPos != null &&
+    finishingPos >= 1 &&
+    finishingPos <= 10
+      ? FASTEST_LAP_POINTS
       : 0;
+  const racePoints = event.halfPoints
+    ? (positionPoints + bonusPoints) / 2
+    : positionPoints + bonusPoints;
 
+  // Sprint results never count as wins, podiums or for countback
+  const countsAsFinish = !isSprint && finishingPos != null && finishingPos >= 1;
   const finalPoints = baseDriver.points + racePoints;
-  const finalWins = baseDriver.wins + (finishingPos === 1 ? 1 : 0);
+  const finalWins =
+    baseDriver.wins + (countsAsFinish && finishingPos === 1 ? 1 : 0);
   const finalPodiums =
-    baseDriver.podiums + (finishingPos != null && finishingPos <= 3 ? 1 : 0);
+    baseDriver.podiums + (countsAsFinish && finishingPos <= 3 ? 1 : 0);
+
+  const finalFinishes = [...getFinishes(baseDriver)];
+  if (countsAsFinish) {
+    while (finalFinishes.length < finishingPos) finalFinishes.push(0);
+    finalFinishes[finishingPos - 1]++;
+  }
 
   return {
     ...baseDriver, // Include original data (name, team, etc)
+    eventType: isSprint ? "sprint" : "gp",
     finishingPos,
     racePoints,
+    bonusPoints,
     finalPoints,
     finalWins,
     finalPodiums,
+    finalFinishes,
+  };
+}
+
+/**
+ * Per-position finish counts of a driver (index 0 = P1s). Drivers without
+ * a breakdown fall back to their win count.
+ * @param {Object} driver - Base driver
+ * @returns {Array<number>}
+ */
+function getFinishes(driver) {
+  return driver.finishes || [driver.wins];
+}
+
+/**
+ * Normalises one round of input. A bare position is a GP-only weekend.
+ * @param {number|null|Object} entry
+ * @returns {Object} { pos, sprintPos, fastestLap, halfPoints, status, deduction }
+ */
+function toRoundEntry(entry) {
+  if (entry == null || typeof entry !== "object") {
+    return {
+      pos: entry == null ? null : entry,
+      sprintPos: null,
+      fastestLap: false,
+      halfPoints: false,
+      status: "finished",
+      deduction: 0,
+    };
+  }
+  return {
+    pos: entry.pos != null ? entry.pos : null,
+    sprintPos: entry.sprintPos != null ? entry.sprintPos : null,
+    fastestLap: Boolean(entry.fastestLap),
+    halfPoints: Boolean(entry.halfPoints),
+    status: RESULT_STATUSES[entry.status] ? entry.status : "finished",
+    deduction: Number(entry.deduction) || 0,
+  };
+}
+
+/**
+ * The most points one driver can score in a round with the selected points
+ * system: a GP win plus, where the round has them, a sprint win and the
+ * fastest-lap bonus.
+ * @param {Object} [round] - Round settings ({ sprint, fastestLapBonus, halfPoints })
+ * @returns {number}
+ */
+export function getMaxRoundPoints(round = {}) {
+  const { race, sprint } = scoringSystem;
+  let gpPoints =
+    Math.max(...race) + (round.fastestLapBonus ? FASTEST_LAP_POINTS : 0);
+  if (round.halfPoints) gpPoints /= 2;
+  const sprintPoints = round.sprint && sprint ? Math.max(...sprint) : 0;
+  return gpPoints + sprintPoints;
+}
+
+/**
+ * Turns a result into a base driver whose current totals are the result's
+ * final totals, so more rounds can be simulated on top of it.
+ * @param {Object} res - Output of calculateDriverResult() or calculateSeasonResult()
+ * @returns {Object} Base driver
+ */
+export function toBaseDriver(res) {
+  return carryTotals(res, res);
+}
+
+// Turns a result back into a base driver so the next event can build on it
+function carryTotals(totals, res) {
+  return {
+    ...totals,
+    points: res.finalPoints,
+    wins: res.finalWins,
+    podiums: res.finalPodiums,
+    finishes: res.finalFinishes,
+  };
+}
+
+/**
+ * Applies several rounds of results to a driver, one after the other.
+ * Each round starts from the totals left by the previous one. On a sprint
+ * weekend the sprint is scored before the Grand Prix.
+ * @param {Object} baseDriver - The driver object from BASE_DRIVERS
+ * @param {Array<number|null|Object>} roundEntries - One entry per round, either
+ *   a GP position or { pos, sprintPos, fastestLap, halfPoints, status, deduction }
+ *   (status: a key of RESULT_STATUSES, "finished" when left out;
+ *   deduction: points taken off by the stewards)
+ * @returns {Object} Driver result with the accumulated totals
+ */
+export function calculateSeasonResult(baseDriver, roundEntries) {
+  const entries = roundEntries.map(toRoundEntry);
+  const roundPoints = [];
+  let totals = baseDriver;
+
+  entries.forEach((entry) => {
+    let points = 0;
+    if (entry.sprintPos != null) {
+      const sprint = calculateDriverResult(totals, entry.sprintPos, {
+        type: "sprint",
+      });
+      points += sprint.racePoints;
+      totals = carryTotals(totals, sprint);
+    }
+    // A driver who did not finish (or was disqualified) has no classified
+    // position: no points, no fastest-lap bonus and nothing for countback
+    const finished = entry.status === "finished";
+    const race = calculateDriverResult(totals, finished ? entry.pos : null, {
+      type: "gp",
+      fastestLap: finished && entry.fastestLap,
+      halfPoints: entry.halfPoints,
+    });
+    points += race.racePoints;
+    totals = carryTotals(totals, race);
+    // Points taken away by the stewards come off the championship total
+    if (entry.deduction) {
+      points -= entry.deduction;
+      totals = { ...totals, points: totals.points - entry.deduction };
+    }
+    roundPoints.push(points);
+  });
+
+  const finishingPositions = entries.map((entry) =>
+    entry.status === "finished" ? entry.pos : null
+  );
+  return {
+    ...baseDriver,
+    roundEntries: entries,
+    finishingPositions,
+    finishingPos: finishingPositions.length
+      ? finishingPositions[finishingPositions.length - 1]
+      : null,
+    roundPoints,
+    racePoints: roundPoints.reduce((sum, pts) => sum + pts, 0),
+    finalPoints: totals.points,
+    finalWins: totals.wins,
+    finalPodiums: totals.podiums,
+    finalFinishes: getFinishes(totals),
   };
 }
 
+/**
+ * Applies post-race penalties to one event's classification, in the order
+ * they were issued. A time penalty moves the driver down by the number of
+ * cars that finished within the penalty time, and everyone they drop behind
+ * moves up a place. A disqualification removes the result and everyone
+ * behind moves up. Positions not in the map (cars not entered) are treated
+ * the same way, so gaps in the order stay where they are.
+ * @param {Object} positions - Driver key -> on-track position (null = not classified)
+ * @param {Array} penalties - { driver, type: "time" | "dsq", places }
+ * @returns {Object} { positions, disqualified } - Official positions and the
+ *   keys of the disqualified drivers
+ */
+export function applyPenalties(positions, penalties) {
+  const official = { ...positions };
+  const disqualified = [];
+
+  penalties.forEach((penalty) => {
+    const from = official[penalty.driver];
+    if (from == null) return;
+
+    if (penalty.type === "dsq") {
+      official[penalty.driver] = null;
+      disqualified.push(penalty.driver);
+      Object.keys(official).forEach((key) => {
+        if (official[key] != null && official[key] > from) official[key]--;
+      });
+    } else if (penalty.type === "time" && penalty.places > 0) {
+      const to = Math.min(from + penalty.places, GRID_SIZE);
+      Object.keys(official).forEach((key) => {
+        const pos = official[key];
+        if (pos != null && pos > from && pos <= to) official[key]--;
+      });
+      official[penalty.driver] = to;
+    }
+  });
+
+  return { positions: official, disqualified };
+}
+
+/**
+ * Turns on-track results into official ones for every round. Each penalty
+ * is { round, type, places, points }: "time" (places lost), "dsq" or
+ * "points" (a deduction from the championship total). Penalties apply to
+ * the Grand Prix.
+ * @param {Object} entriesByDriver - Driver key -> round entries (on track)
+ * @param {Object} penaltiesByDriver - Driver key -> list of penalties
+ * @returns {Object} Driver key -> official round entries, each with the
+ *   on-track position kept as onTrackPos
+ */
+export function applyRoundPenalties(entriesByDriver, penaltiesByDriver) {
+  const official = {};
+  Object.entries(entriesByDriver).forEach(([key, entries]) => {
+    official[key] = entries.map((entry) => {
+      const normalised = toRoundEntry(entry);
+      return {
+        ...normalised,
+        onTrackPos: normalised.status === "finished" ? normalised.pos : null,
+      };
+    });
+  });
+
+  const roundCount = Math.max(
+    0,
+    ...Object.values(official).map((entries) => entries.length)
+  );
+  for (let r = 0; r < roundCount; r++) {
+    const positions = {};
+    const penalties = [];
+    Object.entries(official).forEach(([key, entries]) => {
+      if (!entries[r]) return;
+      positions[key] = entries[r].onTrackPos;
+      (penaltiesByDriver[key] || [])
+        .filter((penalty) => penalty.round === r)
+        .forEach((penalty) => {
+          if (penalty.type === "points") {
+            entries[r].deduction += Number(penalty.points) || 0;
+          } else {
+            penalties.push({ ...penalty, driver: key });
+          }
+        });
+    });
+
+    const result = applyPenalties(positions, penalties);
+    Object.entries(result.positions).forEach(([key, pos]) => {
+      official[key][r].pos = pos;
+    });
+    result.disqualified.forEach((key) => {
+      official[key][r].status = "dsq";
+      official[key][r].fastestLap = false;
+    });
+  }
+  return official;
+}
+
+/**
+ * Simulates the remaining rounds and returns the standings after each one.
+ * @param {Array} baseDrivers - Standings before the first remaining round
+ * @param {Array<Array>} positions - positions[driverIdx][roundIdx], any
+ *   entry accepted by calculateSeasonResult()
+ * @param {number} roundCount
+ * @returns {Array<Array>} Sorted standings after round 1, 2, ... roundCount
+ */
+export function simulateRounds(baseDrivers, positions, roundCount) {
+  const progression = [];
+  for (let round = 1; round <= roundCount; round++) {
+    const results = baseDrivers.map((driver, idx) => {
+      const driverPositions = positions[idx] || [];
+      const played = [];
+      for (let r = 0; r < round; r++) {
+        played.push(driverPositions[r] != null ? driverPositions[r] : null);
+      }
+      return calculateSeasonResult(driver, played);
+    });
+    progression.push(sortStandings(results));
+  }
+  return progression;
+}
+
+/**
+ * Adds driver results up per team for the Constructors' Championship.
+ * Team results use the same fields as driver results, so sortStandings()
+ * and determineChampion() apply the constructors' countback unchanged.
+ * @param {Array} driverResults - Results for every driver (all teams)
+ * @returns {Array} One result per team, unsorted
+ */
+export function calculateConstructorStandings(driverResults) {
+  const teams = new Map();
+
+  driverResults.forEach((res) => {
+    if (!teams.has(res.team)) {
+      teams.set(res.team, {
+        name: res.team,
+        team: res.team,
+        drivers: [],
+        points: 0,
+        wins: 0,
+        podiums: 0,
+        racePoints: 0,
+        finalPoints: 0,
+        finalWins: 0,
+        finalPodiums: 0,
+        finalFinishes: [],
+      });
+    }
+    const team = teams.get(res.team);
+    team.drivers.push(res.name);
+    team.points += res.points;
+    team.wins += res.wins;
+    team.podiums += res.podiums;
+    team.racePoints += res.racePoints || 0;
+    team.finalPoints += res.finalPoints;
+    team.finalWins += res.finalWins;
+    team.finalPodiums += res.finalPodiums;
+    res.finalFinishes.forEach((count, i) => {
+      team.finalFinishes[i] = (team.finalFinishes[i] || 0) + count;
+    });
+  });
+
+  return [...teams.values()];
+}
+
+/**
+ * Compares two results position by position (1sts, then 2nds, then 3rds, ...)
+ * and returns the first position where their counts differ.
+ * @param {Object} a - Result with finalFinishes
+ * @param {Object} b - Result with finalFinishes
+ * @returns {number|null} The deciding position (1-based), or null if every count matches
+ */
+export function findCountbackPosition(a, b) {
+  const length = Math.max(a.finalFinishes.length, b.finalFinishes.length);
+  for (let i = 0; i < length; i++) {
+    if ((a.finalFinishes[i] || 0) !== (b.finalFinishes[i] || 0)) {
+      return i + 1;
+    }
+  }
+  return null;
+}
+
 /**
  * Sorts an array of driver result objects according to F1 Championship rules.
  * 1. Points (descending)
- * 2. Wins (descending)
- * 3. Podiums (descending)
- * 4. Name (ascending) as fallback
+ * 2. Countback: most 1sts, then most 2nds, then most 3rds, ... (descending)
+ * 3. Name (ascending) as fallback, only reached on a true tie
  * @param {Array} results
  * @returns {Array} Sorted results
  */
@@ -41,11 +434,12 @@ export function sortStandings(results) {
     if (b.finalPoints !== a.finalPoints) {
       return b.finalPoints - a.finalPoints;
     }
-    if (b.finalWins !== a.finalWins) {
-      return b.finalWins - a.finalWins;
-    }
-    if (b.finalPodiums !== a.finalPodiums) {
-      return b.finalPodiums - a.finalPodiums;
+    const position = findCountbackPosition(a, b);
+    if (position !== null) {
+      return (
+        (b.finalFinishes[position - 1] || 0) -
+        (a.finalFinishes[position - 1] || 0)
+      );
     }
     return a.name.localeCompare(b.name);
   });
@@ -53,7 +447,7 @@ export function sortStandings(results) {
 
 /**
  * Determines the champion and second place from a sorted list of results.
- * Checks for a tie based on Points, Wins, and Podiums.
+ * It is only a tie when points and every countback position match.
  * @param {Array} sortedResults
  * @returns {Object} { champion, second, isTie }
  */
@@ -67,8 +461,53 @@ export function determineChampion(sortedResults) {
 
   const isTie =
     champion.finalPoints === second.finalPoints &&
-    champion.finalWins === second.finalWins &&
-    champion.finalPodiums === second.finalPodiums;
+    findCountbackPosition(champion, second) === null;
 
   return { champion, second, isTie };
 }
+
+/**
+ * Explains a sorted table one neighbouring pair at a time: which comparison
+ * put the higher driver ahead (see sortStandings) and by how much.
+ * @param {Array} sortedResults
+ * @returns {Array} One step per pair: { ahead, behind, decidedBy, position,
+ *   aheadValue, behindValue } where ahead/behind are the results,
+ *   decidedBy is "points", "countback" (position = the deciding place,
+ *   1 for wins) or "tie" (level on everything, listed by name), and the
+ *   values are the points or the number of finishes in that place
+ */
+export function explainStandings(sortedResults) {
+  return sortedResults.slice(1).map((behind, i) => {
+    const ahead = sortedResults[i];
+    if (ahead.finalPoints !== behind.finalPoints) {
+      return {
+        ahead,
+        behind,
+        decidedBy: "points",
+        position: null,
+        aheadValue: ahead.finalPoints,
+        behindValue: behind.finalPoints,
+      };
+    }
+
+    const position = findCountbackPosition(ahead, behind);
+    if (position === null) {
+      return {
+        ahead,
+        behind,
+        decidedBy: "tie",
+        position: null,
+        aheadValue: ahead.finalPoints,
+        behindValue: behind.finalPoints,
+      };
+    }
+    return {
+      ahead,
+      behind,
+      decidedBy: "countback",
+      position,
+      aheadValue: ahead.finalFinishes[position - 1] || 0,
+      behindValue: behind.finalFinishes[position - 1] || 0,
+    };
+  });
+}
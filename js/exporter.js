@@ -0,0 +1,252 @@
+// Turns a simulation and the Strategy Room into files to post elsewhere:
+// the standings as CSV, Markdown or a PNG image (drawn on a canvas), and
+// the Strategy Room conditions as Markdown.
+
+import { RESULT_STATUSES } from "./data.js";
+import { findCountbackPosition } from "./engine.js";
+
+/**
+ * Marks the places that points alone don't settle.
+ * @param {Array} sortedResults - Output of sortStandings()
+ * @returns {Array<string>} One marker per row: "" (clear on points),
+ *   "Countback Pn" (level on points with a neighbour, split by the number
+ *   of Pn finishes) or "Tie" (level on points and every countback position)
+ */
+export function getTieMarkers(sortedResults) {
+  return sortedResults.map((res, i) => {
+    const neighbours = [sortedResults[i - 1], sortedResults[i + 1]].filter(
+      (other) => other && other.finalPoints === res.finalPoints
+    );
+    if (neighbours.length === 0) return "";
+
+    const positions = neighbours.map((other) =>
+      findCountbackPosition(res, other)
+    );
+    if (positions.includes(null)) return "Tie";
+    // The place above is the one this driver had to win or lose
+    return `Countback P${positions[0]}`;
+  });
+}
+
+/**
+ * Describes the champion the way the summary above the table does.
+ * @param {Object} outcome - Output of determineChampion()
+ * @param {string} [label] - "Champion" or "Constructors"
+ * @returns {string}
+ */
+export function describeOutcome({ champion, second, isTie }, label) {
+  if (isTie) {
+    return `Tie: level on points and every countback position between ${champion.name} and ${second.name} (${champion.finalPoints} pts).`;
+  }
+  // Team results list their drivers; only a driver has a team and podiums
+  if (champion.drivers) {
+    return `${label}: ${champion.name} with ${champion.finalPoints} points (wins: ${champion.finalWins}).`;
+  }
+  return `${label}: ${champion.name} (${champion.team}) with ${champion.finalPoints} points (wins: ${champion.finalWins}, podiums: ${champion.finalPodiums}).`;
+}
+
+// One round's official result in a cell, e.g. "P3, Sprint P2, FL" or "DNF"
+function describeRound(entry, round) {
+  const parts = [];
+  if (entry.status !== "finished") parts.push(RESULT_STATUSES[entry.status]);
+  else if (entry.pos != null) parts.push(`P${entry.pos}`);
+  if (round && round.sprint && entry.sprintPos != null) {
+    parts.push(`Sprint P${entry.sprintPos}`);
+  }
+  if (entry.fastestLap && entry.status === "finished") parts.push("FL");
+  if (entry.deduction) parts.push(`−${entry.deduction} pts`);
+  return parts.length ? parts.join(", ") : "-";
+}
+
+/**
+ * Lays the simulated standings out as rows of text, as in the page table.
+ * @param {Array} sortedResults - Output of sortStandings()
+ * @param {Array} rounds - The rounds the results cover (settings as in REMAINING_ROUNDS)
+ * @returns {Object} { headers, rows } with every cell as a string
+ */
+export function buildStandingsTable(sortedResults, rounds) {
+  const markers = getTieMarkers(sortedResults);
+  const headers = [
+    "Pos",
+    "Driver",
+    "Team",
+    "Current Pts",
+    "Wins",
+    "Podiums",
+    ...rounds.map((round, r) => round.name || `Round ${r + 1}`),
+    "Race Pts",
+    "Final Pts",
+    "Final Wins",
+    "Final Podiums",
+    "Tie",
+  ];
+  const rows = sortedResults.map((res, i) =>
+    [
+      i + 1,
+      res.name,
+      res.team,
+      res.points,
+      res.wins,
+      res.podiums,
+      ...rounds.map((round, r) =>
+        res.roundEntries[r] ? describeRound(res.roundEntries[r], round) : "-"
+      ),
+      res.racePoints,
+      res.finalPoints,
+      res.finalWins,
+      res.finalPodiums,
+      markers[i],
+    ].map(String)
+  );
+  return { headers, rows };
+}
+
+/**
+ * @param {Object} table - Output of buildStandingsTable()
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv({ headers, rows }) {
+  const quote = (cell) =>
+    /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  return [headers, ...rows]
+    .map((row) => row.map(quote).join(","))
+    .join("\n")
+    .concat("\n");
+}
+
+/**
+ * @param {Object} table - Output of buildStandingsTable()
+ * @returns {string} A Markdown (GitHub-flavoured) table
+ */
+export function toMarkdownTable({ headers, rows }) {
+  const line = (cells) =>
+    `| ${cells.map((cell) => cell.replace(/\|/g, "\\|")).join(" | ")} |`;
+  return [
+    line(headers),
+    line(headers.map(() => "---")),
+    ...rows.map(line),
+  ].join("\n");
+}
+
+/**
+ * The standings as a Markdown document: summary lines, then the table.
+ * @param {Array<string>} summary - e.g. describeOutcome() lines
+ * @param {Object} table - Output of buildStandingsTable()
+ * @returns {string}
+ */
+export function standingsToMarkdown(summary, table) {
+  return [
+    "## Final standings",
+    "",
+    ...summary.flatMap((line) => [line, ""]),
+    toMarkdownTable(table),
+    "",
+  ].join("\n");
+}
+
+/**
+ * The Strategy Room cards as a Markdown document.
+ * @param {string} title - e.g. "Norris Path to Glory"
+ * @param {Array} cards - [{ heading, note, conditions }] where conditions
+ *   are alternatives (any one of them is enough) and note is optional text
+ *   shown before them
+ * @returns {string}
+ */
+export function strategyToMarkdown(title, cards) {
+  const lines = [`## ${title}`, ""];
+  cards.forEach(({ heading, note, conditions }) => {
+    lines.push(`### ${heading}`, "");
+    if (note) lines.push(note, "");
+    conditions.forEach((condition, i) => {
+      lines.push(`- ${i > 0 ? "**OR** " : ""}${condition}`);
+    });
+    lines.push("");
+  });
+  return lines.join("\n");
+}
+
+// Image layout, in CSS pixels
+const IMAGE_PADDING = 24;
+const IMAGE_LINE_HEIGHT = 28;
+const IMAGE_FONT = "14px system-ui, sans-serif";
+const IMAGE_COLORS = {
+  background: "#0f0f12",
+  text: "#f0f0f0",
+  muted: "#a0a0b0",
+  border: "#2a2a35",
+  champion: "#ffd700",
+};
+
+/**
+ * Draws the summary and the standings table onto a canvas, sizing the
+ * canvas to fit.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} content
+ * @param {string} content.title
+ * @param {Array<string>} content.summary - Lines shown under the title
+ * @param {Object} content.table - Output of buildStandingsTable()
+ * @param {boolean} content.isTie - No sole champion, so row 1 isn't highlighted
+ */
+export function drawStandingsImage(canvas, { title, summary, table, isTie }) {
+  const ctx = canvas.getContext("2d");
+  ctx.font = IMAGE_FONT;
+  const widths = table.headers.map((header, c) =>
+    Math.max(
+      ...[header, ...table.rows.map((row) => row[c])].map(
+        (cell) => ctx.measureText(cell).width
+      )
+    )
+  );
+  const gap = 16;
+  const tableWidth =
+    widths.reduce((sum, width) => sum + width, 0) + gap * (widths.length - 1);
+  const textWidth = Math.max(
+    ...summary.map((line) => ctx.measureText(line).width)
+  );
+  const headerLines = 1 + summary.length;
+
+  canvas.width = Math.ceil(Math.max(tableWidth, textWidth) + IMAGE_PADDING * 2);
+  canvas.height = Math.ceil(
+    IMAGE_PADDING * 2 +
+      IMAGE_LINE_HEIGHT * (headerLines + 1 + table.rows.length) +
+      IMAGE_LINE_HEIGHT / 2
+  );
+
+  // Resizing resets the context, so set everything up again
+  ctx.fillStyle = IMAGE_COLORS.background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.textBaseline = "middle";
+
+  let y = IMAGE_PADDING + IMAGE_LINE_HEIGHT / 2;
+  ctx.font = "bold 18px system-ui, sans-serif";
+  ctx.fillStyle = IMAGE_COLORS.text;
+  ctx.fillText(title, IMAGE_PADDING, y);
+
+  ctx.font = IMAGE_FONT;
+  ctx.fillStyle = IMAGE_COLORS.text;
+  summary.forEach((line) => {
+    y += IMAGE_LINE_HEIGHT;
+    ctx.fillText(line, IMAGE_PADDING, y);
+  });
+
+  y += IMAGE_LINE_HEIGHT * 1.5;
+  const drawRow = (cells, color) => {
+    let x = IMAGE_PADDING;
+    ctx.fillStyle = color;
+    cells.forEach((cell, c) => {
+      ctx.fillText(cell, x, y);
+      x += widths[c] + gap;
+    });
+    y += IMAGE_LINE_HEIGHT;
+  };
+
+  drawRow(table.headers, IMAGE_COLORS.muted);
+  ctx.strokeStyle = IMAGE_COLORS.border;
+  ctx.beginPath();
+  ctx.moveTo(IMAGE_PADDING, y - IMAGE_LINE_HEIGHT / 2);
+  ctx.lineTo(canvas.width - IMAGE_PADDING, y - IMAGE_LINE_HEIGHT / 2);
+  ctx.stroke();
+  table.rows.forEach((row, i) =>
+    drawRow(row, i === 0 && !isTie ? IMAGE_COLORS.champion : IMAGE_COLORS.text)
+  );
+}
@@ -0,0 +1,148 @@
+// Undo/redo history of the manual table. app.js records a step after every
+// change: the inputs before and after (snapshots), what changed and how the
+// standings moved.
+// Snapshot: { rounds, entries } with entries keyed by driver id, in the
+// readRoundEntries() layout.
+
+import { RESULT_STATUSES } from "./data.js";
+
+// Older steps are dropped past this
+export const MAX_HISTORY_STEPS = 100;
+
+const ROUND_SETTINGS = {
+  sprint: "sprint",
+  fastestLapBonus: "fastest-lap bonus",
+  halfPoints: "half points",
+};
+
+/**
+ * Copies the table inputs so later edits can't change them.
+ * @param {Array} rounds
+ * @param {Object} entriesById - Driver id -> round entries
+ * @returns {Object} Snapshot
+ */
+export function takeSnapshot(rounds, entriesById) {
+  return JSON.parse(JSON.stringify({ rounds, entries: entriesById }));
+}
+
+function describeGp(entry) {
+  if (entry.status !== "finished") return RESULT_STATUSES[entry.status];
+  return entry.pos != null ? `P${entry.pos}` : "no result";
+}
+
+function describePenalty(penalty) {
+  if (penalty.type === "dsq") return "disqualified";
+  if (penalty.type === "time") return `${penalty.amount}-place time penalty`;
+  return `−${penalty.amount} pts`;
+}
+
+function describePenalties(penalties) {
+  if (!penalties || penalties.length === 0) return "no penalty";
+  return penalties.map(describePenalty).join(" + ");
+}
+
+/**
+ * Lists what differs between two snapshots.
+ * @param {Object} before - Snapshot
+ * @param {Object} after - Snapshot
+ * @param {Array} drivers - For the names
+ * @param {string} [changedId] - The driver the user edited; changes to
+ *   anyone else in the same step are marked automatic (e.g. a bumped place)
+ * @returns {Array} [{ text, automatic }], the edited driver's changes first
+ */
+export function describeChanges(before, after, drivers, changedId) {
+  const changes = [];
+  const roundLabel = (r) =>
+    `R${r + 1}${after.rounds[r] ? ` ${after.rounds[r].name}` : ""}`;
+
+  for (let r = after.rounds.length; r < before.rounds.length; r++) {
+    changes.push({ text: `Removed R${r + 1}`, automatic: false });
+  }
+  for (let r = before.rounds.length; r < after.rounds.length; r++) {
+    changes.push({ text: `Added ${roundLabel(r)}`, automatic: false });
+  }
+  after.rounds.forEach((round, r) => {
+    const old = before.rounds[r];
+    if (!old) return;
+    Object.entries(ROUND_SETTINGS).forEach(([setting, label]) => {
+      if (Boolean(old[setting]) !== Boolean(round[setting])) {
+        changes.push({
+          text: `${roundLabel(r)}: ${label} ${round[setting] ? "on" : "off"}`,
+          automatic: false,
+        });
+      }
+    });
+  });
+
+  const rounds = Math.min(before.rounds.length, after.rounds.length);
+  drivers.forEach((driver) => {
+    const automatic = changedId != null && driver.id !== changedId;
+    for (let r = 0; r < rounds; r++) {
+      const a = (before.entries[driver.id] || [])[r];
+      const b = (after.entries[driver.id] || [])[r];
+      if (!a || !b) continue;
+
+      const fields = [
+        [describeGp(a), describeGp(b)],
+        [
+          a.sprintPos != null ? `Sprint P${a.sprintPos}` : "no sprint result",
+          b.sprintPos != null ? `Sprint P${b.sprintPos}` : "no sprint result",
+        ],
+        [
+          a.fastestLap ? "fastest lap" : "no fastest lap",
+          b.fastestLap ? "fastest lap" : "no fastest lap",
+        ],
+        [describePenalties(a.penalties), describePenalties(b.penalties)],
+      ];
+      fields.forEach(([from, to]) => {
+        if (from === to) return;
+        changes.push({
+          text: `${driver.name} ${roundLabel(r)}: ${from} → ${to}`,
+          automatic,
+        });
+      });
+    }
+  });
+
+  return [
+    ...changes.filter((change) => !change.automatic),
+    ...changes.filter((change) => change.automatic),
+  ];
+}
+
+/**
+ * Compares two sets of standings.
+ * @param {Array} before - Sorted results
+ * @param {Array} after - Sorted results
+ * @returns {Array} [{ id, name, from, to, gapBefore, gapAfter }] for every
+ *   driver whose place or gap to the leader changed, in the new order.
+ *   The gap is 0 for the leader and negative for everyone else.
+ */
+export function diffStandings(before, after) {
+  const gapsOf = (standings) => {
+    const leader = standings[0].finalPoints;
+    const gaps = {};
+    standings.forEach((res, i) => {
+      gaps[res.id] = { position: i + 1, gap: res.finalPoints - leader };
+    });
+    return gaps;
+  };
+  const old = gapsOf(before);
+  const next = gapsOf(after);
+
+  return after
+    .filter(
+      (res) =>
+        old[res.id] &&
+        (old[res.id].position !== next[res.id].position ||
+          old[res.id].gap !== next[res.id].gap)
+    )
+    .map((res) => ({
+      id: res.id,
+      name: res.name,
+      from: old[res.id].position,
+      to: next[res.id].position,
+      gapBefore: old[res.id].gap,
+      gapAfter: next[res.id].gap,
+    }));
+}
@@ -0,0 +1,510 @@
+// Reads standings and season result files into the BASE_DRIVERS layout:
+// { id, name, team, country, points, wins, podiums, finishes }
+
+import { RESULT_STATUSES } from "./data.js";
+
+/**
+ * Parses and checks a standings file.
+ * Accepted layouts:
+ * - CSV with a header row: name, team, points, wins (required) and id,
+ *   country, podiums, finishes (optional; finishes as "7 8 2" = P1s, P2s, P3s)
+ * - Ergast/Jolpica JSON (MRData.StandingsTable.StandingsLists[].DriverStandings)
+ * - A JSON array of drivers in the BASE_DRIVERS layout
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell CSV from JSON when given
+ * @returns {Array} Drivers, in the order of the file
+ * @throws {Error} Listing every problem found in the file
+ */
+export function parseStandings(text, fileName = "") {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  const rows = isJson ? readJsonRows(text) : readCsvRows(text);
+
+  if (rows.length === 0) {
+    throw new Error("The file does not contain any drivers.");
+  }
+
+  const errors = [];
+  const drivers = rows.map((row, i) => toDriver(row, i, errors));
+  findDuplicates(drivers, errors);
+
+  if (errors.length) {
+    throw new Error(errors.join("\n"));
+  }
+  return drivers;
+}
+
+function readJsonRows(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The file is not valid JSON: ${err.message}`);
+  }
+
+  if (Array.isArray(data)) return data;
+
+  const lists =
+    data &&
+    data.MRData &&
+    data.MRData.StandingsTable &&
+    data.MRData.StandingsTable.StandingsLists;
+  if (!Array.isArray(lists) || lists.length === 0) {
+    throw new Error(
+      "Unrecognised JSON: expected MRData.StandingsTable.StandingsLists or a list of drivers."
+    );
+  }
+
+  // The newest standings list is the one to use
+  const standings = lists[lists.length - 1].DriverStandings || [];
+  return standings.map(fromErgast);
+}
+
+// Maps one Ergast/Jolpica standings entry onto the driver layout
+function fromErgast(entry) {
+  const driver = entry.Driver || {};
+  const constructors = entry.Constructors || [];
+  const team = constructors.length
+    ? constructors[constructors.length - 1].name
+    : undefined;
+  const name =
+    driver.givenName && driver.familyName
+      ? `${driver.givenName.charAt(0)}. ${driver.familyName}`
+      : undefined;
+
+  return {
+    id: driver.familyName ? toId(driver.familyName) : driver.driverId,
+    fallbackId: toId(String(driver.driverId)),
+    name,
+    team,
+    country: driver.nationality,
+    points: entry.points,
+    wins: entry.wins,
+    podiums: entry.podiums,
+  };
+}
+
+function readCsvRows(text) {
+  const lines = splitCsv(text).filter((cells) =>
+    cells.some((cell) => cell.trim() !== "")
+  );
+  if (lines.length === 0) return [];
+
+  const header = lines[0].map((cell) => cell.trim().toLowerCase());
+  ["name", "team", "points", "wins"].forEach((column) => {
+    if (!header.includes(column)) {
+      throw new Error(`The CSV header is missing the "${column}" column.`);
+    }
+  });
+
+  return lines.slice(1).map((cells) => {
+    const row = {};
+    header.forEach((column, i) => {
+      const value = (cells[i] || "").trim();
+      if (value !== "") row[column] = value;
+    });
+    if (row.finishes !== undefined) {
+      row.finishes = row.finishes.split(/[\s;|]+/).filter((v) => v !== "");
+    }
+    return row;
+  });
+}
+
+// Splits CSV text into rows of cells, honouring "quoted, cells"
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows;
+}
+
+// "Hülkenberg" -> "hulkenberg"
+function toId(name) {
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+// Ids end up in links ("norris.1"), so they are kept to a safe set of characters
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Checks one row and turns it into a driver. Problems are added to errors.
+ * @param {Object} row - Raw values from the file
+ * @param {number} index - Position in the file, for the messages
+ * @param {Array<string>} errors
+ * @returns {Object} Driver
+ */
+function toDriver(row, index, errors) {
+  const label =
+    row && row.name
+      ? `Driver ${index + 1} (${row.name})`
+      : `Driver ${index + 1}`;
+  if (!row || typeof row !== "object") {
+    errors.push(`${label}: not a driver entry.`);
+    return {};
+  }
+
+  ["name", "team", "points", "wins"].forEach((field) => {
+    if (row[field] === undefined || row[field] === null || row[field] === "") {
+      errors.push(`${label}: missing "${field}".`);
+    }
+  });
+
+  if (row.id && !ID_PATTERN.test(String(row.id))) {
+    errors.push(
+      `${label}: "id" may only hold letters, digits, "_" and "-", got "${row.id}".`
+    );
+  }
+
+  const readCount = (field, value) => {
+    if (value === undefined || value === null || value === "") return 0;
+    const number = Number(value);
+    if (!isFinite(number)) {
+      errors.push(`${label}: "${field}" must be a number, got "${value}".`);
+      return 0;
+    }
+    if (number < 0) {
+      errors.push(`${label}: "${field}" cannot be negative (${number}).`);
+      return 0;
+    }
+    return number;
+  };
+
+  const driver = {
+    // Without an id, "L. Norris" becomes "norris"
+    id: row.id
+      ? String(row.id)
+      : toId(String(row.name || "").replace(/^\S+\.\s+/, "")),
+    name: String(row.name || ""),
+    team: String(row.team || ""),
+    country: row.country ? String(row.country) : "",
+    points: readCount("points", row.points),
+    wins: readCount("wins", row.wins),
+    podiums: readCount("podiums", row.podiums),
+  };
+  if (row.fallbackId) driver.fallbackId = String(row.fallbackId);
+  else if (!row.id) driver.fallbackId = toId(driver.name);
+
+  if (row.finishes !== undefined) {
+    if (!Array.isArray(row.finishes)) {
+      errors.push(`${label}: "finishes" must be a list of counts.`);
+    } else {
+      driver.finishes = row.finishes.map((count) =>
+        readCount("finishes", count)
+      );
+    }
+  }
+  return driver;
+}
+
+// The same driver listed twice is an error. Two different drivers can share
+// a surname-based id, in which case the feed's own driverId is used.
+function findDuplicates(drivers, errors) {
+  const idCounts = {};
+  drivers.forEach((driver) => {
+    idCounts[driver.id] = (idCounts[driver.id] || 0) + 1;
+  });
+  drivers.forEach((driver) => {
+    if (idCounts[driver.id] > 1 && driver.fallbackId) {
+      driver.id = driver.fallbackId;
+    }
+    delete driver.fallbackId;
+  });
+
+  const seenIds = new Map();
+  const seenNames = new Map();
+  drivers.forEach((driver, i) => {
+    const previous = seenIds.has(driver.id)
+      ? seenIds.get(driver.id)
+      : seenNames.get(driver.name);
+    if (previous !== undefined) {
+      errors.push(
+        `Driver ${i + 1} (${driver.name}): duplicate of driver ${previous + 1}.`
+      );
+      return;
+    }
+    if (driver.id) seenIds.set(driver.id, i);
+    if (driver.name) seenNames.set(driver.name, i);
+  });
+}
+
+// Ergast/Jolpica positionText codes for results without a classified place
+const ERGAST_STATUS_CODES = {
+  R: "dnf",
+  N: "dnf",
+  D: "dsq",
+  E: "dsq",
+  W: "dns",
+  F: "dns",
+};
+
+/**
+ * Parses and checks a file with the round-by-round results of a season.
+ * Accepted layouts:
+ * - CSV with a header row: round, name, team (required) and race, id,
+ *   position, status (finished, dnf, dns or dsq) and sprint (optional).
+ *   One row per driver per round.
+ * - Ergast/Jolpica JSON (MRData.RaceTable.Races[], with Results and, where
+ *   the round had one, SprintResults)
+ * Every driver starts the season on zero.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell CSV from JSON when given
+ * @returns {Object} { rounds: [{ name, sprint }], drivers, entries } where
+ *   entries maps a driver id to one { pos, sprintPos, status } per round
+ * @throws {Error} Listing every problem found in the file
+ */
+export function parseSeasonResults(text, fileName = "") {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  const rows = isJson ? readJsonResults(text) : readCsvResults(text);
+
+  if (rows.length === 0) {
+    throw new Error("The file does not contain any results.");
+  }
+
+  const errors = [];
+  const roundNumbers = [];
+  const roundNames = {};
+  const people = new Map();
+
+  rows.forEach((row, i) => {
+    const label = `Result ${i + 1}${row.name ? ` (${row.name})` : ""}`;
+    ["round", "name", "team"].forEach((field) => {
+      if (row[field] === undefined || row[field] === "") {
+        errors.push(`${label}: missing "${field}".`);
+      }
+    });
+
+    const round = Number(row.round);
+    if (row.round !== undefined && (!Number.isInteger(round) || round < 1)) {
+      errors.push(
+        `${label}: "round" must be a whole number, got "${row.round}".`
+      );
+    }
+    if (Number.isInteger(round) && !roundNumbers.includes(round)) {
+      roundNumbers.push(round);
+    }
+    if (row.race && !roundNames[round]) roundNames[round] = row.race;
+
+    if (row.id && !ID_PATTERN.test(String(row.id))) {
+      errors.push(
+        `${label}: "id" may only hold letters, digits, "_" and "-", got "${row.id}".`
+      );
+    }
+
+    row.status = row.status ? String(row.status).toLowerCase() : "finished";
+    if (!RESULT_STATUSES[row.status]) {
+      errors.push(`${label}: unknown status "${row.status}".`);
+    }
+    ["position", "sprint"].forEach((field) => {
+      if (row[field] === undefined || row[field] === "") {
+        row[field] = null;
+        return;
+      }
+      const pos = Number(row[field]);
+      if (!Number.isInteger(pos) || pos < 1) {
+        errors.push(
+          `${label}: "${field}" must be a position, got "${row[field]}".`
+        );
+      }
+      row[field] = pos;
+    });
+    if (
+      row.status === "finished" &&
+      row.position == null &&
+      row.sprint == null
+    ) {
+      errors.push(`${label}: a finished driver needs a "position".`);
+    }
+
+    const key = row.key || row.id || row.name;
+    if (!people.has(key)) {
+      people.set(key, {
+        id: row.id || toId(String(row.name || "").replace(/^\S+\.\s+/, "")),
+        fallbackId: row.fallbackId || toId(String(row.name || "")),
+        name: String(row.name || ""),
+        team: "",
+        country: row.country || "",
+        points: 0,
+        wins: 0,
+        podiums: 0,
+        finishes: [],
+      });
+    }
+    // A driver who changed teams is listed with the latest one
+    if (row.team) people.get(key).team = String(row.team);
+    row.driver = people.get(key);
+  });
+
+  const drivers = [...people.values()];
+  findDuplicates(drivers, errors);
+
+  roundNumbers.sort((a, b) => a - b);
+  const rounds = roundNumbers.map((round) => ({
+    name: roundNames[round] || `Round ${round}`,
+    sprint: false,
+  }));
+
+  const entries = {};
+  drivers.forEach((driver) => {
+    entries[driver.id] = rounds.map(() => ({
+      pos: null,
+      sprintPos: null,
+      status: "finished",
+    }));
+  });
+
+  const taken = {};
+  rows.forEach((row, i) => {
+    const r = roundNumbers.indexOf(Number(row.round));
+    if (r === -1 || !row.driver) return;
+    const entry = entries[row.driver.id][r];
+    const label = `Result ${i + 1} (${row.name})`;
+
+    if (entry.seen) {
+      errors.push(
+        `${label}: ${row.name} has two results in round ${row.round}.`
+      );
+      return;
+    }
+    entry.seen = true;
+
+    [
+      ["gp", row.position, "pos"],
+      ["sprint", row.sprint, "sprintPos"],
+    ].forEach(([event, pos, field]) => {
+      if (pos == null) return;
+      const slot = `${r}-${event}-${pos}`;
+      if (taken[slot]) {
+        errors.push(
+          `${label}: P${pos} in round ${row.round} is already taken by ${taken[slot]}.`
+        );
+        return;
+      }
+      taken[slot] = row.name;
+      entry[field] = pos;
+    });
+    entry.status = row.status;
+    if (row.status !== "finished") entry.pos = null;
+    if (entry.sprintPos != null) rounds[r].sprint = true;
+  });
+
+  if (errors.length) {
+    throw new Error(errors.join("\n"));
+  }
+  Object.values(entries).forEach((driverEntries) =>
+    driverEntries.forEach((entry) => delete entry.seen)
+  );
+  return { rounds, drivers, entries };
+}
+
+function readJsonResults(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The file is not valid JSON: ${err.message}`);
+  }
+
+  const races =
+    data && data.MRData && data.MRData.RaceTable && data.MRData.RaceTable.Races;
+  if (!Array.isArray(races)) {
+    throw new Error("Unrecognised JSON: expected MRData.RaceTable.Races.");
+  }
+
+  const rows = [];
+  races.forEach((race) => {
+    const byDriver = new Map();
+    const rowFor = (result) => {
+      const driver = result.Driver || {};
+      if (!byDriver.has(driver.driverId)) {
+        const row = {
+          key: driver.driverId,
+          id: driver.familyName ? toId(driver.familyName) : driver.driverId,
+          fallbackId: toId(String(driver.driverId)),
+          name:
+            driver.givenName && driver.familyName
+              ? `${driver.givenName.charAt(0)}. ${driver.familyName}`
+              : undefined,
+          team: result.Constructor && result.Constructor.name,
+          country: driver.nationality,
+          round: race.round,
+          race: race.raceName,
+        };
+        byDriver.set(driver.driverId, row);
+        rows.push(row);
+      }
+      return byDriver.get(driver.driverId);
+    };
+
+    (race.Results || []).forEach((result) => {
+      const row = rowFor(result);
+      const code = ERGAST_STATUS_CODES[result.positionText];
+      row.status = code || "finished";
+      if (!code) row.position = result.position;
+    });
+    (race.SprintResults || []).forEach((result) => {
+      const row = rowFor(result);
+      if (!ERGAST_STATUS_CODES[result.positionText]) {
+        row.sprint = result.position;
+      }
+      if (!row.status) row.status = "dns";
+    });
+  });
+  return rows;
+}
+
+function readCsvResults(text) {
+  const lines = splitCsv(text).filter((cells) =>
+    cells.some((cell) => cell.trim() !== "")
+  );
+  if (lines.length === 0) return [];
+
+  const header = lines[0].map((cell) => cell.trim().toLowerCase());
+  ["round", "name", "team"].forEach((column) => {
+    if (!header.includes(column)) {
+      throw new Error(`The CSV header is missing the "${column}" column.`);
+    }
+  });
+
+  return lines.slice(1).map((cells) => {
+    const row = {};
+    header.forEach((column, i) => {
+      const value = (cells[i] || "").trim();
+      if (value !== "") row[column] = value;
+    });
+    return row;
+  });
+}
@@ -0,0 +1,183 @@
+// Saved "what if" scenarios. app.js keeps the library in localStorage; each
+// entry holds the inputs as a share.js hash plus the standings they produced:
+// { id, name, notes, savedAt, state: "scoring=2010+&r1=norris.1,...",
+//   standings: [{ id, name, team, position, points, wins }] }
+
+export const LIBRARY_STORAGE_KEY = "f1-simulator-scenarios";
+
+// Layout version written into exported files
+const LIBRARY_VERSION = 1;
+
+/**
+ * Builds a library entry from the simulation currently in the table.
+ * @param {Object} scenario
+ * @param {string} scenario.name
+ * @param {string} [scenario.notes]
+ * @param {string} scenario.state - encodeState() output for the inputs
+ * @param {Array} scenario.results - Sorted results, as runSimulation() produces them
+ * @param {Array} existing - The library so far, to keep ids unique
+ * @returns {Object} The new entry
+ */
+export function createSavedScenario({ name, notes, state, results }, existing) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) {
+    throw new Error("Give the scenario a name.");
+  }
+
+  return {
+    id: createId(existing),
+    name: trimmed,
+    notes: String(notes || "").trim(),
+    savedAt: new Date().toISOString(),
+    state,
+    standings: results.map((res, i) => ({
+      id: res.id,
+      name: res.name,
+      team: res.team,
+      position: i + 1,
+      points: res.finalPoints,
+      wins: res.finalWins,
+    })),
+  };
+}
+
+function createId(existing) {
+  const taken = new Set(existing.map((sc) => sc.id));
+  let id = Date.now().toString(36);
+  for (let n = 2; taken.has(id); n++) {
+    id = `${Date.now().toString(36)}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * @param {Array} scenarios - The library
+ * @returns {string} JSON for an exported file
+ */
+export function serializeLibrary(scenarios) {
+  return JSON.stringify({ version: LIBRARY_VERSION, scenarios }, null, 2);
+}
+
+/**
+ * Parses and checks a library file (or the stored library).
+ * Accepts the exported layout ({ version, scenarios }) or a bare list.
+ * @param {string} text - File contents
+ * @returns {Array} The scenarios, in file order
+ * @throws {Error} Listing every problem found in the file
+ */
+export function parseLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The file is not valid JSON: ${err.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : data && data.scenarios;
+  if (!Array.isArray(list)) {
+    throw new Error("Unrecognised JSON: expected a list of scenarios.");
+  }
+
+  const errors = [];
+  const scenarios = list.map((entry, i) => toSavedScenario(entry, i, errors));
+  if (errors.length) {
+    throw new Error(errors.join("\n"));
+  }
+  return scenarios;
+}
+
+function toSavedScenario(entry, index, errors) {
+  const label = `Scenario ${index + 1}`;
+  const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+  if (!entry || typeof entry !== "object") {
+    errors.push(`${label}: not a scenario.`);
+    return null;
+  }
+  if (!isText(entry.name)) errors.push(`${label}: missing name.`);
+  if (typeof entry.state !== "string") errors.push(`${label}: missing inputs.`);
+
+  const standings = Array.isArray(entry.standings) ? entry.standings : [];
+  const valid = standings.every(
+    (row) =>
+      row &&
+      isText(row.id) &&
+      isText(row.name) &&
+      Number.isInteger(row.position) &&
+      typeof row.points === "number" &&
+      isFinite(row.points)
+  );
+  if (!standings.length || !valid) {
+    errors.push(`${label}: missing or broken standings.`);
+  }
+
+  return {
+    id: isText(entry.id) ? entry.id : "",
+    name: isText(entry.name) ? entry.name.trim() : "",
+    notes: typeof entry.notes === "string" ? entry.notes : "",
+    savedAt: typeof entry.savedAt === "string" ? entry.savedAt : "",
+    state: entry.state,
+    standings,
+  };
+}
+
+/**
+ * Adds imported scenarios to the library. Imported entries keep their
+ * ids unless the library already uses them.
+ * @param {Array} library
+ * @param {Array} imported - Output of parseLibrary()
+ * @returns {Array} The combined library
+ */
+export function mergeLibrary(library, imported) {
+  const merged = [...library];
+  imported.forEach((scenario) => {
+    const clash = !scenario.id || merged.some((sc) => sc.id === scenario.id);
+    merged.push(clash ? { ...scenario, id: createId(merged) } : scenario);
+  });
+  return merged;
+}
+
+/**
+ * Lines up the final standings of two or three saved scenarios.
+ * Drivers follow the first scenario's order; anyone missing from it is
+ * added at the end.
+ * @param {Array} scenarios - Library entries to compare
+ * @returns {Array} [{ id, name, team, cells, differs }] where cells has one
+ *   { position, points, diff } per scenario (null when the driver is not in
+ *   it) and diff is the points gap to the first scenario
+ */
+export function compareScenarios(scenarios) {
+  const rows = [];
+  scenarios.forEach((scenario) => {
+    scenario.standings.forEach((row) => {
+      if (!rows.some((r) => r.id === row.id)) {
+        rows.push({ id: row.id, name: row.name, team: row.team });
+      }
+    });
+  });
+
+  return rows.map((row) => {
+    const cells = scenarios.map((scenario) =>
+      scenario.standings.find((r) => r.id === row.id)
+    );
+    const base = cells[0] ? cells[0].points : 0;
+    return {
+      ...row,
+      cells: cells.map((cell) =>
+        cell
+          ? {
+              position: cell.position,
+              points: cell.points,
+              diff: cell.points - base,
+            }
+          : null
+      ),
+      differs: cells.some(
+        (cell) =>
+          !cell ||
+          cell.points !== cells[0].points ||
+          cell.position !== cells[0].position
+      ),
+    };
+  });
+}
@@ -0,0 +1,177 @@
+// "As it stands" projections during the final race. A feed sends the running
+// order whenever it changes and every update is scored as if the race ended
+// there:
+//   { "lap": 12, "order": ["verstappen", "norris", "piastri", ...] }
+// Drivers missing from the order have retired and score nothing.
+// A recorded feed is a JSON file of updates, replayed one every interval ms:
+//   { "interval": 1000, "updates": [update, ...] } or a bare list of updates.
+
+import { GRID_SIZE } from "./data.js";
+import {
+  calculateDriverResult,
+  sortStandings,
+  determineChampion,
+} from "./engine.js";
+
+// Milliseconds between recorded updates when the file doesn't say
+export const DEFAULT_LIVE_INTERVAL = 1000;
+
+/**
+ * Checks one update from a feed.
+ * @param {Object} data - The parsed message
+ * @param {Array} drivers - Base drivers, for the known ids
+ * @returns {Object} { lap, order }
+ * @throws {Error} Listing every problem found in the update
+ */
+export function parseLiveUpdate(data, drivers) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Expected an update such as { lap, order }.");
+  }
+
+  const errors = [];
+  if (!Number.isInteger(data.lap) || data.lap < 0) {
+    errors.push("lap must be a whole number of 0 or more.");
+  }
+  if (!Array.isArray(data.order) || data.order.length === 0) {
+    errors.push("order must be a list of driver ids.");
+  } else if (data.order.length > GRID_SIZE) {
+    errors.push(`order lists more than ${GRID_SIZE} cars.`);
+  } else {
+    const known = new Set(drivers.map((driver) => driver.id));
+    const seen = new Set();
+    data.order.forEach((id, i) => {
+      if (!known.has(id)) {
+        errors.push(`P${i + 1}: unknown driver "${id}".`);
+      } else if (seen.has(id)) {
+        errors.push(`P${i + 1}: "${id}" is listed more than once.`);
+      }
+      seen.add(id);
+    });
+  }
+
+  if (errors.length) {
+    throw new Error(errors.join("\n"));
+  }
+  return { lap: data.lap, order: [...data.order] };
+}
+
+/**
+ * Parses and checks a recorded feed.
+ * @param {string} text - File contents
+ * @param {Array} drivers - Base drivers, for the known ids
+ * @returns {Object} { interval, updates }
+ * @throws {Error} Listing every problem found in the file
+ */
+export function parseLiveFeed(text, drivers) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The file is not valid JSON: ${err.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : data && data.updates;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("Unrecognised JSON: expected a list of updates.");
+  }
+
+  const errors = [];
+  let interval = DEFAULT_LIVE_INTERVAL;
+  if (!Array.isArray(data) && data.interval != null) {
+    if (typeof data.interval === "number" && data.interval > 0) {
+      interval = data.interval;
+    } else {
+      errors.push("interval must be a number of milliseconds above 0.");
+    }
+  }
+
+  const updates = list.map((entry, i) => {
+    try {
+      return parseLiveUpdate(entry, drivers);
+    } catch (err) {
+      err.message
+        .split("\n")
+        .forEach((line) => errors.push(`Update ${i + 1}: ${line}`));
+      return null;
+    }
+  });
+  if (errors.length) {
+    throw new Error(errors.join("\n"));
+  }
+  return { interval, updates };
+}
+
+/**
+ * Scores the running order as a finishing order.
+ * @param {Array} drivers - Base drivers before the race
+ * @param {Object} update - Output of parseLiveUpdate()
+ * @param {Object} [event] - Event settings, as for calculateDriverResult(),
+ *   except that fastestLap is the id of the driver who set the fastest lap
+ *   (where the round pays for it)
+ * @returns {Array} Sorted results
+ */
+export function projectStandings(drivers, { order }, event = {}) {
+  return sortStandings(
+    drivers.map((driver) => {
+      const index = order.indexOf(driver.id);
+      return calculateDriverResult(driver, index === -1 ? null : index + 1, {
+        ...event,
+        fastestLap: event.fastestLap === driver.id,
+      });
+    })
+  );
+}
+
+/**
+ * Takes the live view one update further.
+ * @param {Object|null} state - The previous output, null for the first update
+ * @param {Object} update - Output of parseLiveUpdate()
+ * @param {Array} drivers - Base drivers before the race
+ * @param {Object} [event] - Event settings, as for projectStandings()
+ * @returns {Object} { lap, standings, outcome, rows, leadChanges } where
+ *   rows has one { id, name, team, running, position, move, points, gap,
+ *   gapChange } per driver in standings order (running is the place on
+ *   track or null, gap the negative points gap to the leader, move and
+ *   gapChange the change since the last update), and leadChanges lists
+ *   every { lap, outcome } at which the projected champion changed, oldest
+ *   first. Updates older than the current lap leave the state as it is.
+ */
+export function applyLiveUpdate(state, update, drivers, event = {}) {
+  if (state && update.lap < state.lap) return state;
+
+  const standings = projectStandings(drivers, update, event);
+  const outcome = determineChampion(standings);
+  const leader = standings[0].finalPoints;
+
+  const previousRows = {};
+  if (state) state.rows.forEach((row) => (previousRows[row.id] = row));
+
+  const rows = standings.map((res, i) => {
+    const previous = previousRows[res.id];
+    const gap = res.finalPoints - leader;
+    return {
+      id: res.id,
+      name: res.name,
+      team: res.team,
+      running: res.finishingPos,
+      position: i + 1,
+      move: previous ? previous.position - (i + 1) : 0,
+      points: res.finalPoints,
+      gap,
+      gapChange: previous ? gap - previous.gap : 0,
+    };
+  });
+
+  const leadChanges = state ? [...state.leadChanges] : [];
+  const last = leadChanges[leadChanges.length - 1];
+  if (!last || leaderKey(last.outcome) !== leaderKey(outcome)) {
+    leadChanges.push({ lap: update.lap, outcome });
+  }
+
+  return { lap: update.lap, standings, outcome, rows, leadChanges };
+}
+
+// The projected champion's id, or both ids for a tie
+function leaderKey({ champion, second, isTie }) {
+  return isTie ? `${champion.id}=${second.id}` : champion.id;
+}
@@ -0,0 +1,230 @@
+import { GRID_SIZE } from "./data.js";
+import {
+  calculateSeasonResult,
+  sortStandings,
+  determineChampion,
+} from "./engine.js";
+
+// Likely-finish presets. weights[i] is the relative chance of finishing
+// P(i+1) (missing positions count as 0), dnf the chance of not finishing.
+export const DISTRIBUTION_PRESETS = {
+  dominant: {
+    label: "Dominant",
+    weights: [60, 20, 8, 4, 3, 2, 1, 1, 0.5, 0.5],
+    dnf: 0.02,
+  },
+  frontrunner: {
+    label: "Front-runner",
+    weights: [25, 25, 20, 12, 8, 4, 2, 2, 1, 1],
+    dnf: 0.03,
+  },
+  midfield: {
+    label: "Midfield",
+    weights: [1, 2, 3, 5, 10, 12, 12, 12, 12, 10, 8, 6, 4, 3],
+    dnf: 0.05,
+  },
+  dnfRisk: {
+    label: "Front-runner, DNF risk 10%",
+    weights: [25, 25, 20, 12, 8, 4, 2, 2, 1, 1],
+    dnf: 0.1,
+  },
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so a run can be repeated.
+ * @param {number} seed
+ * @returns {Function} Returns a float in [0, 1) on each call
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Checks a likely-finish distribution.
+ * @param {Object} distribution - { weights, dnf }
+ * @throws {Error} When the weights or the DNF chance are out of range
+ */
+export function validateDistribution(distribution) {
+  const { weights, dnf } = distribution;
+  if (
+    !Array.isArray(weights) ||
+    weights.length === 0 ||
+    weights.length > GRID_SIZE ||
+    weights.some((w) => typeof w !== "number" || !(w >= 0))
+  ) {
+    throw new Error(
+      `Finish weights must be 1 to ${GRID_SIZE} non-negative numbers.`
+    );
+  }
+  if (!(dnf >= 0 && dnf <= 1)) {
+    throw new Error("The DNF chance must be between 0% and 100%.");
+  }
+  if (dnf < 1 && weights.every((w) => w === 0)) {
+    throw new Error("At least one finishing position needs a weight.");
+  }
+}
+
+// Picks a finishing position for one driver, skipping places already taken
+function samplePosition(distribution, taken, rng) {
+  if (rng() < distribution.dnf) return null;
+
+  let total = 0;
+  for (let pos = 1; pos <= GRID_SIZE; pos++) {
+    if (!taken.has(pos)) total += distribution.weights[pos - 1] || 0;
+  }
+
+  // Every likely place is gone: take any free one
+  if (total === 0) {
+    const free = [];
+    for (let pos = 1; pos <= GRID_SIZE; pos++) {
+      if (!taken.has(pos)) free.push(pos);
+    }
+    return free[Math.floor(rng() * free.length)];
+  }
+
+  let pick = rng() * total;
+  for (let pos = 1; pos <= GRID_SIZE; pos++) {
+    if (taken.has(pos)) continue;
+    pick -= distribution.weights[pos - 1] || 0;
+    if (pick < 0) return pos;
+  }
+  // Floating point rounding: fall back to the last weighted free place
+  for (let pos = GRID_SIZE; pos >= 1; pos--) {
+    if (!taken.has(pos) && distribution.weights[pos - 1]) return pos;
+  }
+  return null;
+}
+
+/**
+ * Draws one event's finishing positions for the given drivers. Drivers are
+ * placed in a random order so nobody gets first pick of the free places.
+ * @returns {Array<number|null>} Position per driver (null = DNF)
+ */
+function sampleEvent(drivers, distributions, rng) {
+  const order = drivers.map((_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const taken = new Set();
+  const positions = new Array(drivers.length);
+  order.forEach((i) => {
+    const pos = samplePosition(distributions[drivers[i].id], taken, rng);
+    if (pos != null) taken.add(pos);
+    positions[i] = pos;
+  });
+  return positions;
+}
+
+/**
+ * Picks who takes the fastest-lap bonus in one Grand Prix. Only a top-ten
+ * finisher can score it, and each of the ten places is equally likely to
+ * set the lap; a place held by a car outside the simulation scores nobody.
+ * @param {Array<number|null>} positions - Position per driver
+ * @returns {number} Index of the driver with the bonus, or -1
+ */
+function sampleFastestLap(positions, rng) {
+  const place = 1 + Math.floor(rng() * 10);
+  return positions.indexOf(place);
+}
+
+/**
+ * 95% Wilson score interval for a proportion.
+ * @param {number} successes
+ * @param {number} trials
+ * @returns {Array<number>} [low, high]
+ */
+export function wilsonInterval(successes, trials) {
+  if (trials === 0) return [0, 0];
+  const z = 1.96;
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const centre = (p + (z * z) / (2 * trials)) / denominator;
+  const half =
+    (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) /
+    denominator;
+  return [Math.max(0, centre - half), Math.min(1, centre + half)];
+}
+
+/**
+ * Runs seeded random seasons and counts how often each driver takes the title.
+ * Every remaining round is drawn from the drivers' distributions (the sprint
+ * too, on a sprint weekend, and the fastest lap where the round pays a bonus
+ * for it, see sampleFastestLap()), then scored with calculateSeasonResult(),
+ * sortStandings() and determineChampion().
+ *
+ * @param {Object} options
+ * @param {Array} options.drivers - Base drivers taking part (the contenders)
+ * @param {Object} options.distributions - Driver id -> { weights, dnf }
+ * @param {Array} options.rounds - Remaining rounds (settings as in REMAINING_ROUNDS)
+ * @param {number} options.iterations
+ * @param {number} options.seed
+ * @returns {Object} { iterations, seed, ties, drivers: [{ id, name, titles, probability, interval }] }
+ */
+export function runMonteCarlo({
+  drivers,
+  distributions,
+  rounds,
+  iterations,
+  seed,
+}) {
+  drivers.forEach((driver) => validateDistribution(distributions[driver.id]));
+  if (!Number.isInteger(iterations) || iterations < 1) {
+    throw new Error("The number of simulations must be a positive integer.");
+  }
+  if (!Number.isInteger(seed)) {
+    throw new Error("The seed must be a whole number.");
+  }
+
+  const rng = createRng(seed);
+  const titles = {};
+  drivers.forEach((driver) => (titles[driver.id] = 0));
+  let ties = 0;
+
+  for (let n = 0; n < iterations; n++) {
+    const entries = drivers.map(() => []);
+    rounds.forEach((round) => {
+      const gp = sampleEvent(drivers, distributions, rng);
+      const sprint = round.sprint
+        ? sampleEvent(drivers, distributions, rng)
+        : [];
+      const fastestLap = round.fastestLapBonus ? sampleFastestLap(gp, rng) : -1;
+      drivers.forEach((_, i) => {
+        entries[i].push({
+          pos: gp[i],
+          sprintPos: round.sprint ? sprint[i] : null,
+          fastestLap: i === fastestLap,
+          halfPoints: round.halfPoints,
+        });
+      });
+    });
+
+    const results = drivers.map((driver, i) =>
+      calculateSeasonResult(driver, entries[i])
+    );
+    const { champion, isTie } = determineChampion(sortStandings(results));
+    if (isTie) ties++;
+    else titles[champion.id]++;
+  }
+
+  return {
+    iterations,
+    seed,
+    ties,
+    drivers: drivers.map((driver) => ({
+      id: driver.id,
+      name: driver.name,
+      titles: titles[driver.id],
+      probability: titles[driver.id] / iterations,
+      interval: wilsonInterval(titles[driver.id], iterations),
+    })),
+  };
+}
@@ -0,0 +1,118 @@
+import {
+  calculateSeasonResult,
+  simulateRounds,
+  sortStandings,
+} from "./engine.js";
+
+// Line colours for the points chart, in standings order
+export const CHART_COLORS = [
+  "#ffd700",
+  "#3b82f6",
+  "#ef4444",
+  "#10b981",
+  "#f97316",
+  "#a855f7",
+  "#ec4899",
+  "#14b8a6",
+];
+
+/**
+ * Works out the championship standings after every round of a season.
+ * @param {Object} season - Output of parseSeasonResults()
+ * @returns {Object} { rounds, standings, history } where standings[r] is the
+ *   sorted table after round r (standings[0] = before the first round) and
+ *   history maps a driver id to their points after each round (from 0)
+ */
+export function buildReplay({ rounds, drivers, entries }) {
+  const standings = [
+    sortStandings(drivers.map((driver) => calculateSeasonResult(driver, []))),
+    ...simulateRounds(
+      drivers,
+      drivers.map((driver) => entries[driver.id]),
+      rounds.length
+    ),
+  ];
+
+  const history = {};
+  drivers.forEach((driver) => (history[driver.id] = []));
+  standings.forEach((table) =>
+    table.forEach((res) => history[res.id].push(res.finalPoints))
+  );
+
+  return { rounds, standings, history };
+}
+
+/**
+ * Draws cumulative points per driver as an inline SVG line chart.
+ * @param {Object} replay - Output of buildReplay()
+ * @param {Object} options
+ * @param {number} options.round - Round to mark (0 = before the first round)
+ * @param {Array<string>} options.driverIds - Drivers to draw, one colour each
+ * @returns {string} SVG markup
+ */
+export function renderPointsChart(replay, { round, driverIds }) {
+  const width = 800;
+  const height = 320;
+  const margin = { top: 16, right: 120, bottom: 32, left: 48 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const roundCount = replay.rounds.length;
+  const maxPoints = Math.max(
+    1,
+    ...driverIds.map((id) => Math.max(...replay.history[id]))
+  );
+  const x = (r) =>
+    margin.left + (roundCount ? (r / roundCount) * plotWidth : 0);
+  const y = (points) =>
+    margin.top + plotHeight - (points / maxPoints) * plotHeight;
+
+  const gridLines = [0, 0.25, 0.5, 0.75, 1].map((share) => {
+    const points = Math.round(maxPoints * share);
+    return `<line x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${y(
+      points
+    )}" y2="${y(points)}" class="chart-grid" />
+      <text x="${margin.left - 8}" y="${
+      y(points) + 4
+    }" text-anchor="end" class="chart-label">${points}</text>`;
+  });
+
+  const roundLabels = replay.rounds.map(
+    (_, r) =>
+      `<text x="${x(r + 1)}" y="${
+        height - 10
+      }" text-anchor="middle" class="chart-label">R${r + 1}</text>`
+  );
+
+  const names = {};
+  replay.standings[0].forEach((res) => (names[res.id] = res.name));
+
+  const lines = driverIds.map((id, i) => {
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    const points = replay.history[id];
+    const path = points.map((p, r) => `${x(r)},${y(p)}`).join(" ");
+    return `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2" />
+      <circle cx="${x(round)}" cy="${y(points[round])}" r="4" fill="${color}" />
+      <text x="${x(roundCount) + 8}" y="${
+      y(points[roundCount]) + 4
+    }" fill="${color}" class="chart-label">${escapeXml(names[id])}</text>`;
+  });
+
+  return `<svg class="points-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Cumulative points per round">
+    ${gridLines.join("")}
+    ${roundLabels.join("")}
+    <line x1="${x(round)}" x2="${x(round)}" y1="${margin.top}" y2="${
+    margin.top + plotHeight
+  }" class="chart-marker" />
+    ${lines.join("")}
+  </svg>`;
+}
+
+// Names come from the loaded file and go straight into the SVG markup
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
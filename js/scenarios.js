@@ -1,98 +1,247 @@
 import {
   calculateDriverResult,
+  calculateConstructorStandings,
   sortStandings,
   determineChampion,
+  getScoringSystem,
+  getMaxRoundPoints,
 } from "./engine.js";
-import { BASE_DRIVERS } from "./data.js";
+import { BASE_DRIVERS, FASTEST_LAP_POINTS } from "./data.js";
 
-// Get just the contenders
-const contenders = BASE_DRIVERS.filter((d) => d.isContender);
-// Map them for easy lookup by ID or name if needed, though index is fastest for brute force
-const [norris, verstappen, piastri] = contenders;
+// Only a top-10 finisher scores the fastest-lap bonus (see calculateDriverResult)
+const FASTEST_LAP_PLACES = 10;
 
 /**
- * Generates all valid finishing scenarios for the top 3 contenders.
+ * The pseudo-position the search uses for "No Points": one past the last
+ * scoring place of the selected points system.
+ * @returns {number}
+ */
+export function getNoPointsPosition() {
+  return getScoringSystem().race.length;
+}
+
+/**
+ * Lists the drivers who can still mathematically win the title: their
+ * points plus everything left to score must reach the leader's current
+ * total (level on points still leaves the countback).
+ * @param {Array} drivers - Current standings
+ * @param {Array} rounds - Rounds left to run (settings as in REMAINING_ROUNDS)
+ * @returns {Array} Contending drivers, best placed first
+ */
+export function getContenders(drivers = BASE_DRIVERS, rounds = [{}]) {
+  const pointsLeft = rounds.reduce(
+    (sum, round) => sum + getMaxRoundPoints(round),
+    0
+  );
+  const standings = sortStandings(
+    drivers.map((d) => calculateDriverResult(d, null))
+  );
+  const leaderPoints = standings[0].finalPoints;
+
+  return standings
+    .filter((res) => res.finalPoints + pointsLeft >= leaderPoints)
+    .map((res) => drivers.find((d) => d.id === res.id));
+}
+
+/**
+ * Checks that the search can score the final round's settings: half points
+ * and the fastest-lap bonus are part of the search, a sprint isn't.
+ * @param {Object} round - Final round settings (as in REMAINING_ROUNDS)
+ * @throws {Error} When the round can't be searched
+ */
+function checkFinalRound(round) {
+  const { race, sprint } = getScoringSystem();
+  // Eras without sprint points score nothing for them
+  if (round.sprint && sprint) {
+    throw new Error(
+      "Scenarios can't be searched for a final round with a sprint."
+    );
+  }
+  // Every place that can take the bonus needs its own position
+  if (round.fastestLapBonus && getNoPointsPosition() <= FASTEST_LAP_PLACES) {
+    throw new Error(
+      `Scenarios with the fastest-lap bonus need a points system that pays the top ${FASTEST_LAP_PLACES} (this one pays ${
+        race.length - 1
+      }).`
+    );
+  }
+}
+
+/**
+ * Generates all valid finishing scenarios in the final race for every
+ * driver who can still win the title.
  * Returns a list of scenarios where a specific driver wins.
  *
- * @param {string} targetWinnerId - 'norris', 'verstappen', or 'piastri'
- * @returns {Array} List of winning scenarios
+ * The search places the target first and then each rival in turn, and
+ * bounds every partial combination on points (branch and bound): a branch
+ * is dropped as soon as a rival is sure to finish ahead of the target, and
+ * once no rival can reach the target's total the rest of the branch is
+ * listed without being scored. Only combinations that may end level on
+ * points go through the full countback check.
+ *
+ * Where the round pays the fastest-lap bonus, the search runs once for every
+ * holder of it: each contender, placed in the top 10 only, and nobody in
+ * contention (a car out of the title fight, or a contender outside the top
+ * 10, sets the lap).
+ *
+ * @param {string} targetWinnerId - Driver id, e.g. 'norris'
+ * @param {Array} drivers - Standings going into the final race
+ * @param {Object} [round] - Final round settings (as in REMAINING_ROUNDS)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the share of the search done so far (0..1)
+ * @returns {Array} List of winning scenarios, keyed `${id}Pos` for each
+ *   contender, plus `fastestLap` (the holder's id, or null) where the round
+ *   pays the bonus
+ * @throws {Error} When the round can't be searched (see checkFinalRound())
  */
-export function findWinningScenarios(targetWinnerId) {
+export function findWinningScenarios(
+  targetWinnerId,
+  drivers = BASE_DRIVERS,
+  round = {},
+  options = {}
+) {
+  checkFinalRound(round);
   const winningScenarios = [];
+  const contenders = getContenders(drivers, [round]);
+  const target = contenders.find((d) => d.id === targetWinnerId);
+  if (!target) {
+    return winningScenarios;
+  }
 
-  // Positions to iterate: 1..10, plus 11 (representing >10 or No Points)
-  const MAX_POS = 11;
+  // Positions to iterate: every scoring place of the selected points system,
+  // plus the "No Points" position (representing "outside the points" or DNF)
+  const noPointsPos = getNoPointsPosition();
+  const { race } = getScoringSystem();
+  const scale = round.halfPoints ? 0.5 : 1;
+  const bonus = FASTEST_LAP_POINTS * scale;
+  const pointsFor = (pos) => (pos < noPointsPos ? race[pos] * scale : 0);
 
-  for (let posN = 1; posN <= MAX_POS; posN++) {
-    for (let posV = 1; posV <= MAX_POS; posV++) {
-      // Optimization: If Norris and Verstappen collide in points (both <= 10 and equal), skip
-      if (posN <= 10 && posV <= 10 && posN === posV) continue;
+  // Target first, so every branch below it knows the total to beat
+  const order = [target, ...contenders.filter((d) => d !== target)];
+  const positions = new Array(order.length);
+  const taken = new Set();
+  const { onProgress } = options;
+  // Index in `order` of the fastest-lap holder, -1 for nobody in contention
+  const holders = round.fastestLapBonus ? [-1, ...order.keys()] : [-1];
+  let holder = -1;
 
-      for (let posP = 1; posP <= MAX_POS; posP++) {
-        // Check collisions with Piastri
-        if (posP <= 10) {
-          if (posN <= 10 && posN === posP) continue;
-          if (posV <= 10 && posV === posP) continue;
-        }
+  // A holder outside the top 10 scores no bonus, so that's the "nobody" run
+  const lastPlace = (i) => (i === holder ? FASTEST_LAP_PLACES : noPointsPos);
+  const scored = (i) => pointsFor(positions[i]) + (i === holder ? bonus : 0);
 
-        // Construct a mini simulation
-        // We only need to calculate these 3, assuming everyone else scores 0
-        // (or rather, everyone else is irrelevant for the title math unless they score,
-        // but since we only care about relative order of these 3 and their total points,
-        // we can ignore the rest for the "Who is Champion" check,
-        // provided the "rest" don't magically jump to 400+ points, which they can't).
-
-        // Wait - we need to be careful. The sortStandings function takes an array.
-        // We should construct results for these 3.
-        // The champion check relies on the sorted array.
-
-        const resN = calculateDriverResult(norris, posN > 10 ? null : posN);
-        const resV = calculateDriverResult(verstappen, posV > 10 ? null : posV);
-        const resP = calculateDriverResult(piastri, posP > 10 ? null : posP);
-
-        const miniStandings = sortStandings([resN, resV, resP]);
-        const { champion, isTie } = determineChampion(miniStandings);
-
-        // Check if our target won
-        // Note: If isTie is true, technically it's a draw, not a sole win.
-        // Depending on user requirement, we might exclude ties or include them.
-        // Usually "Champion" means sole champion or winning the tie-break.
-        // Our logic already puts the winner of tie-break first.
-        // But if isTie is TRUE, it means exact same points/wins/podiums.
-        // In F1, that's incredibly rare (dead heat in everything).
-        // For this purpose, we'll assume top of list is champion.
-
-        if (champion.id === targetWinnerId && !isTie) {
-          winningScenarios.push({
-            norrisPos: posN,
-            verstappenPos: posV,
-            piastriPos: posP,
-          });
-        }
+  function record() {
+    const scenario = {};
+    contenders.forEach((driver) => {
+      scenario[driver.id + "Pos"] = positions[order.indexOf(driver)];
+    });
+    if (round.fastestLapBonus) {
+      scenario.fastestLap = holder === -1 ? null : order[holder].id;
+    }
+    winningScenarios.push(scenario);
+  }
+
+  // "lose", "win" or null (undecided) for the first `placed` drivers
+  function bound(placed) {
+    const targetPoints = target.points + scored(0);
+    let undecided = false;
+
+    for (let i = 1; i < placed; i++) {
+      const points = order[i].points + scored(i);
+      if (points > targetPoints) return "lose";
+      if (points === targetPoints) undecided = true;
+    }
+
+    let bestFree = 0;
+    for (let pos = 1; pos < noPointsPos; pos++) {
+      if (!taken.has(pos)) {
+        bestFree = pointsFor(pos);
+        break;
+      }
+    }
+    for (let i = placed; i < order.length; i++) {
+      const best = bestFree + (i === holder ? bonus : 0);
+      if (order[i].points > targetPoints) return "lose";
+      if (order[i].points + best >= targetPoints) undecided = true;
+    }
+
+    return undecided ? null : "win";
+  }
+
+  function isWin() {
+    // Construct a mini simulation of the contenders only. Everyone else is
+    // irrelevant for the "Who is Champion" check: by definition they can't
+    // reach the leader's points.
+    const results = order.map((driver, i) =>
+      calculateDriverResult(
+        driver,
+        positions[i] < noPointsPos ? positions[i] : null,
+        { fastestLap: i === holder, halfPoints: round.halfPoints }
+      )
+    );
+
+    const miniStandings = sortStandings(results);
+    const { champion, isTie } = determineChampion(miniStandings);
+
+    // A true tie (level on points and every countback position) is a
+    // draw, not a sole win, so it is left out.
+    return champion.id === targetWinnerId && !isTie;
+  }
+
+  // Progress is counted over the holders and the first two drivers' places
+  function report(done) {
+    const run = holders.indexOf(holder);
+    onProgress((run + done) / holders.length);
+  }
+
+  function place(i, decided) {
+    if (i > 0 && !decided) {
+      const verdict = bound(i);
+      if (verdict === "lose") return;
+      if (verdict === "win") decided = true;
+    }
+    if (i === order.length) {
+      if (decided || isWin()) record();
+      return;
+    }
+    for (let pos = 1; pos <= lastPlace(i); pos++) {
+      if (pos < noPointsPos && taken.has(pos)) continue;
+      positions[i] = pos;
+      if (pos < noPointsPos) taken.add(pos);
+      place(i + 1, decided);
+      taken.delete(pos);
+      if (onProgress && i < 2) {
+        const done =
+          i === 0 ? pos * noPointsPos : (positions[0] - 1) * noPointsPos + pos;
+        report(done / (noPointsPos * noPointsPos));
       }
     }
   }
+
+  holders.forEach((i) => {
+    holder = i;
+    place(0, false);
+  });
+
   return winningScenarios;
 }
 
 /**
  * Groups scenarios to make them readable.
- * Example logic: "If Norris is P1, Verstappen must be >= Px and Piastri >= Py"
- * This is complex because the requirements are coupled.
- *
- * Simplified approach for UI:
- * Group by Target Driver's position.
- * For each position of Target, find the BEST possible result the rivals can have without preventing the win.
- * Actually, it's usually "Rival must be X or worse".
+ * Example: "If Norris finishes P4: if Verstappen P2, Piastri must be P4 or lower".
  *
- * Let's try: Group by Target Position.
- * Then for that Target Position, find the "Max Allowed Position" (highest rank/lowest number) for rivals.
- * But sometimes it's combinatorial (If Rival A is P3, Rival B must be P5; if Rival A is P4, Rival B can be P3).
+ * Group by Target Driver's position, then summarise the rivals' results for
+ * that position as a short list of mutually exclusive conditions
+ * (see summarizeConstraints). Every summary is checked against the
+ * brute-force scenario set, so it is exact: each winning combination matches
+ * exactly one condition and no losing combination matches any. Where the
+ * round pays the fastest-lap bonus, the conditions are also split by who
+ * takes it (see summarizeByFastestLap).
  *
- * Robust Strategy for Display:
- * Iterate Target Position 1..10 (and No Points if mathematically possible).
- * For each Target Pos, list the discrete valid combinations of rivals.
- * Simplify consecutive ranges if possible.
+ * @param {string} targetId
+ * @param {Array} scenarios - Output of findWinningScenarios()
+ * @returns {Array} [{ position, conditions }] where each condition is
+ *   { text, ranges, scenarios } (text is plain text, ranges maps rival id to
+ *   [from, to]), plus fastestLap when the round pays the bonus
  */
 export function groupScenarios(targetId, scenarios) {
   // 1. Group by target driver's position
@@ -108,73 +257,974 @@ export function groupScenarios(targetId, scenarios) {
 
   // 2. Format for display
   const output = [];
-  const positions = Object.keys(byTargetPos).sort((a, b) => a - b);
+  const positions = Object.keys(byTargetPos)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const noPointsPos = getNoPointsPosition();
 
   positions.forEach((pos) => {
     const scenariosForPos = byTargetPos[pos];
-    const displayPos = pos > 10 ? "No Points" : "P" + pos;
+    const displayPos = pos >= noPointsPos ? "No Points" : "P" + pos;
 
-    // We need to summarize the constraints on the other two.
-    // Let's identify the other drivers.
-    const otherIds = ["norris", "verstappen", "piastri"].filter(
+    // Every scenario carries a `${id}Pos` key per contender.
+    const otherIds = getScenarioIds(scenariosForPos[0]).filter(
       (id) => id !== targetId
     );
 
-    // Simple text generation: "Verstappen P4+, Piastri P5+"
-    // To do this strictly, we need to check if there are dependencies.
-    // A simple way is to just list the minimal constraints if they are independent,
-    // or list distinct sets if dependent.
+    const conditions = summarizeByFastestLap(scenariosForPos, otherIds, [pos], {
+      holders: [...(pos <= FASTEST_LAP_PLACES ? [targetId] : []), ...otherIds],
+    });
+
+    output.push({ position: displayPos, conditions });
+  });
+
+  return output;
+}
+
+const displayName = (id) => id.charAt(0).toUpperCase() + id.slice(1);
+
+// Contender ids of a scenario, from its `${id}Pos` keys
+const getScenarioIds = (scenario) =>
+  Object.keys(scenario)
+    .filter((key) => key.endsWith("Pos"))
+    .map((key) => key.slice(0, -"Pos".length));
+
+/**
+ * summarizeConstraints() once per holder of the fastest-lap bonus, for
+ * scenarios that carry one (see findWinningScenarios()). Holders that lead
+ * to the same conditions share them, and when every possible holder does,
+ * the bonus doesn't matter and goes unmentioned. Otherwise each condition
+ * names the holders it applies to; a holder left out loses.
+ *
+ * @param {Array} scenarios
+ * @param {Array<string>} otherIds - Rival ids, in scenario order
+ * @param {Array<number>} takenPositions - As in summarizeConstraints()
+ * @param {Object} options
+ * @param {Array<string>} options.holders - Who can take the bonus, besides
+ *   nobody in contention: every rival, and the drivers with a fixed place
+ *   in the top 10 (the target, or the teammates)
+ * @param {Function} [options.carsOf] - Ids of the cars a holder scores the
+ *   bonus with (a driver by default; a team's cars for the constructors)
+ * @param {string} [options.anyResult] - As in summarizeConstraints()
+ * @returns {Array} Conditions: { text, ranges, scenarios, fastestLap }
+ *   where fastestLap lists the holders (null for nobody in contention),
+ *   or is left out when the round pays no bonus
+ */
+function summarizeByFastestLap(
+  scenarios,
+  otherIds,
+  takenPositions,
+  { holders, carsOf = (id) => [id], anyResult }
+) {
+  if (!("fastestLap" in scenarios[0])) {
+    return summarizeConstraints(scenarios, otherIds, takenPositions, {
+      anyResult,
+    });
+  }
+
+  const possible = [...holders, null];
+  const byHolder = new Map();
+  possible.forEach((holder) => byHolder.set(holder, []));
+  scenarios.forEach((sc) => byHolder.get(sc.fastestLap).push(sc));
+
+  const shared = new Map();
+  byHolder.forEach((held, holder) => {
+    if (held.length === 0) return;
+    const conditions = summarizeConstraints(held, otherIds, takenPositions, {
+      fastestLapCars: holder === null ? [] : carsOf(holder),
+      anyResult,
+    });
+    const key = conditions.map((c) => c.text).join("\n");
+    if (!shared.has(key)) {
+      shared.set(key, { holders: [holder], conditions });
+      return;
+    }
+    const entry = shared.get(key);
+    entry.holders.push(holder);
+    entry.conditions.forEach((c, i) =>
+      c.scenarios.push(...conditions[i].scenarios)
+    );
+  });
+
+  const everyHolder =
+    shared.size === 1 &&
+    [...shared.values()][0].holders.length === possible.length;
+  return [...shared.values()].flatMap(({ holders: sharing, conditions }) => {
+    const names = sharing.map((id) => (id ? displayName(id) : "no contender"));
+    const holderText =
+      names.length === 1
+        ? names[0]
+        : `${names.slice(0, -1).join(", ")} or ${names[names.length - 1]}`;
+    return conditions.map((condition) => ({
+      ...condition,
+      text: everyHolder
+        ? condition.text
+        : `Fastest lap to ${holderText}: ${condition.text}`,
+      fastestLap: sharing,
+    }));
+  });
+}
+
+// "P4 or lower", "P2 or higher", "P3–P5", "P2", "No Points"
+function describeRange([from, to], noPointsPos) {
+  if (from === to) return from >= noPointsPos ? "No Points" : "P" + from;
+  if (to >= noPointsPos) return `P${from} or lower`;
+  if (from === 1) return `P${to} or higher`;
+  return `P${from}–P${to}`;
+}
 
-    // Let's try to find the "minimum required position" (worst finish required) for rivals
-    // e.g. "Verstappen <= P4" means Verstappen must finish P4, P5... or No Points.
-    // In integer terms, posV >= 4.
+/**
+ * Summarises the rivals' results that let the target win from one position
+ * (or, for team orders, that make a swap decide the title).
+ *
+ * The valid rival combinations form a partial truth table: winning
+ * combinations are "on", losing ones "off", and combinations that can't
+ * happen (two cars in the same scoring place, or a rival in the target's
+ * place) are "don't care". A decision tree is built one rival at a time:
+ * neighbouring positions of a rival are merged into one range while the
+ * remaining rivals' on/off sets don't contradict each other, and impossible
+ * positions are absorbed into whichever range they border. Each root-to-leaf
+ * path of the tree is one condition, and ranges on the same level never
+ * overlap, so the conditions are mutually exclusive.
+ *
+ * @param {Array} scenarios - Winning scenarios for one target position
+ * @param {Array<string>} otherIds - Rival ids, in scenario order
+ * @param {Array<number>} takenPositions - Places the rivals can't have
+ *   (the target's, or both teammates')
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fastestLapCars] - Cars of the fastest-lap
+ *   holder in every scenario; when they are rivals, one of them takes a
+ *   top-10 place
+ * @param {string} [options.anyResult] - Text of the single condition when
+ *   there are no rivals left to summarise
+ * @returns {Array} Conditions: { text, ranges, scenarios }
+ */
+function summarizeConstraints(
+  scenarios,
+  otherIds,
+  takenPositions,
+  {
+    fastestLapCars = [],
+    anyResult = "Nobody else can catch up: any result wins the title.",
+  } = {}
+) {
+  if (otherIds.length === 0) {
+    return [
+      {
+        text: anyResult,
+        ranges: {},
+        scenarios,
+      },
+    ];
+  }
 
-    // Let's look at the range of allowed positions for the rivals in this subset.
-    // It's often: "If Target P1, Rival1 can be [4,5,6...11] AND Rival2 can be [2,3,4...11]"
-    // But we must check if they are coupled.
+  const noPointsPos = getNoPointsPosition();
+  const keyOf = (tuple) => tuple.join(",");
 
-    // Let's just list distinct simplified conditions.
-    // "Verstappen finishes P4 or lower, Piastri finishes P2 or lower"
+  // Every combination of rival positions that can actually happen
+  const holderCars = fastestLapCars
+    .map((id) => otherIds.indexOf(id))
+    .filter((i) => i !== -1);
+  const valid = [];
+  forEachCombination(otherIds.length, (tuple) => {
+    const clash = takenPositions.some(
+      (pos) => pos < noPointsPos && tuple.includes(pos)
+    );
+    if (clash) return;
+    if (
+      holderCars.length > 0 &&
+      holderCars.every((i) => tuple[i] > FASTEST_LAP_PLACES)
+    ) {
+      return;
+    }
+    valid.push([...tuple]);
+  });
 
-    const summary = summarizeConstraints(scenariosForPos, otherIds);
+  const winning = new Set(
+    scenarios.map((sc) => keyOf(otherIds.map((id) => sc[id + "Pos"])))
+  );
+  const on = valid.filter((tuple) => winning.has(keyOf(tuple)));
+  const off = valid.filter((tuple) => !winning.has(keyOf(tuple)));
 
-    output.push({
-      position: displayPos,
-      description: summary,
+  const paths = buildConditionTree(on, off, noPointsPos);
+  const conditions = paths.map((ranges) => {
+    const byId = {};
+    ranges.forEach((range, i) => {
+      if (range) byId[otherIds[i]] = range;
     });
+    return {
+      text: describeCondition(byId, noPointsPos, paths.length > 1),
+      ranges: byId,
+      scenarios: scenarios.filter((sc) =>
+        matchesRanges(byId, (id) => sc[id + "Pos"])
+      ),
+    };
   });
 
-  return output;
+  verifyConditions(conditions, valid, winning, otherIds, keyOf);
+  return conditions;
 }
 
-function summarizeConstraints(scenarios, otherIds) {
-  // This is a heuristic simplifier.
-  // It looks for the "best" position (lowest number) each rival achieves in the dataset.
-  // If the scenarios cover ALL combinations of positions worse than those bests, we can say "X >= P_best".
+/**
+ * Recursively splits the on/off rival tuples on their first position.
+ * @returns {Array<Array>} One entry per condition: a range ([from, to]) per
+ *   rival, or null when that rival is unconstrained
+ */
+function buildConditionTree(on, off, noPointsPos) {
+  if (on.length === 0) return [];
+  if (on[0].length === 0) return [[]];
+  if (off.length === 0) return [new Array(on[0].length).fill(null)];
 
-  // Let's just create a string based on the worst-case for the rivals (closest to P1 they can get).
-  // Note: This might be slightly inaccurate if there's a specific "hole" in the combinations,
-  // but for F1 points, usually if (V=4, P=5) works, then (V=5, P=5) works too.
-  // The only blocker is the "clash" rule (V and P can't both be 4).
+  // Split the tuples by the first rival's position
+  const byPos = [];
+  for (let pos = 1; pos <= noPointsPos; pos++) {
+    byPos[pos] = { on: [], off: [] };
+  }
+  on.forEach((tuple) => byPos[tuple[0]].on.push(tuple.slice(1)));
+  off.forEach((tuple) => byPos[tuple[0]].off.push(tuple.slice(1)));
 
-  // Let's find the minimum allowed position value (highest rank) for each rival across ALL scenarios for this target pos.
-  const minPos = {};
-  otherIds.forEach((id) => (minPos[id] = 99));
+  // Greedily merge neighbouring positions whose sub-tables agree
+  const groups = [];
+  let current = null;
+  for (let pos = 1; pos <= noPointsPos; pos++) {
+    const slice = byPos[pos];
+    if (current && compatible(current, slice)) {
+      current.to = pos;
+      current.on.push(...slice.on);
+      current.off.push(...slice.off);
+    } else {
+      current = { from: pos, to: pos, on: [...slice.on], off: [...slice.off] };
+      groups.push(current);
+    }
+  }
 
-  scenarios.forEach((sc) => {
-    otherIds.forEach((id) => {
-      const p = sc[id + "Pos"];
-      if (p < minPos[id]) minPos[id] = p;
+  // A range the rival can't take at all yields no paths and is left out.
+  // A single range covering every position means no constraint.
+  const paths = [];
+  groups.forEach((group) => {
+    const range = groups.length === 1 ? null : [group.from, group.to];
+    buildConditionTree(group.on, group.off, noPointsPos).forEach((rest) => {
+      paths.push([range, ...rest]);
+    });
+  });
+  return paths;
+}
+
+// Two slices can share a range if no tuple is "on" in one and "off" in the other
+function compatible(a, b) {
+  const keys = (tuples) => new Set(tuples.map((t) => t.join(",")));
+  const aOff = keys(a.off);
+  const bOff = keys(b.off);
+  return (
+    !b.on.some((t) => aOff.has(t.join(","))) &&
+    !a.on.some((t) => bOff.has(t.join(",")))
+  );
+}
+
+function matchesRanges(ranges, positionOf) {
+  return Object.entries(ranges).every(([id, [from, to]]) => {
+    const pos = positionOf(id);
+    return pos >= from && pos <= to;
+  });
+}
+
+// "if Verstappen P2, Piastri must be P4 or lower" when there are several
+// conditions, "Verstappen must be P2 or lower and Piastri must be ..." otherwise
+function describeCondition(ranges, noPointsPos, hasAlternatives) {
+  const entries = Object.entries(ranges);
+  if (entries.length === 0) return "Any result for the rivals";
+
+  const requirement = ([id, range]) =>
+    `${displayName(id)} must be ${describeRange(range, noPointsPos)}`;
+  if (!hasAlternatives || entries.length === 1) {
+    return entries.map(requirement).join(" and ");
+  }
+
+  const given = entries
+    .slice(0, -1)
+    .map(
+      ([id, range]) => `${displayName(id)} ${describeRange(range, noPointsPos)}`
+    );
+  return `if ${given.join(" and ")}, ${requirement(
+    entries[entries.length - 1]
+  )}`;
+}
+
+// Checks a summary against the brute-force set: every winning combination
+// must match exactly one condition and no losing combination may match any.
+function verifyConditions(conditions, valid, winning, otherIds, keyOf) {
+  valid.forEach((tuple) => {
+    const positionOf = (id) => tuple[otherIds.indexOf(id)];
+    const matches = conditions.filter((c) =>
+      matchesRanges(c.ranges, positionOf)
+    ).length;
+    const wins = winning.has(keyOf(tuple));
+    if ((wins && matches !== 1) || (!wins && matches !== 0)) {
+      throw new Error(
+        `Scenario summary does not match the combination ${keyOf(tuple)}.`
+      );
+    }
+  });
+}
+
+/**
+ * Calls visit() with every valid combination of finishing positions for
+ * `count` drivers. Each driver takes a position from 1 to the "No Points"
+ * position, and a scoring place can only be taken once.
+ * @param {number} count
+ * @param {Function} visit - Receives the positions array (reused between calls, copy it to keep it)
+ */
+export function forEachCombination(count, visit) {
+  const noPointsPos = getNoPointsPosition();
+  const positions = new Array(count);
+  const taken = new Set();
+
+  function place(i) {
+    if (i === count) {
+      visit(positions);
+      return;
+    }
+    for (let pos = 1; pos <= noPointsPos; pos++) {
+      if (pos < noPointsPos && taken.has(pos)) continue;
+      positions[i] = pos;
+      if (pos < noPointsPos) taken.add(pos);
+      place(i + 1);
+      taken.delete(pos);
+    }
+  }
+
+  place(0);
+}
+
+// Loading a Scenario
+
+/**
+ * Writes one scenario into the final round of the table's entries. The
+ * card is the official result, so every retirement and penalty in that
+ * round is cleared: a disqualification or time penalty anywhere in the
+ * field would move the contenders. Other cars keep their places unless a
+ * contender needs one.
+ * @param {Object} entries - Driver index -> round entries ({ pos, sprintPos,
+ *   fastestLap, status, penalties, ... }, as app.js reads the table)
+ * @param {Object} scenario - One of findWinningScenarios()
+ * @param {Array} drivers - The table's drivers, by index
+ * @returns {Object} New entries, the earlier rounds untouched
+ */
+export function applyScenarioToEntries(entries, scenario, drivers) {
+  const noPointsPos = getNoPointsPosition();
+  const wanted = {};
+  getScenarioIds(scenario).forEach((id) => {
+    const pos = scenario[id + "Pos"];
+    wanted[drivers.findIndex((d) => d.id === id)] =
+      pos >= noPointsPos ? null : pos;
+  });
+  const taken = new Set(Object.values(wanted).filter((pos) => pos !== null));
+
+  const applied = {};
+  Object.entries(entries).forEach(([idx, driverEntries]) => {
+    const round = driverEntries.length - 1;
+    const entry = {
+      ...driverEntries[round],
+      status: "finished",
+      penalties: [],
+    };
+    if (idx in wanted) {
+      entry.pos = wanted[idx];
+      entry.sprintPos = null;
+    } else if (taken.has(entry.pos)) {
+      entry.pos = null;
+    }
+    if (scenario.fastestLap) {
+      entry.fastestLap = drivers[idx].id === scenario.fastestLap;
+    } else if (idx in wanted) {
+      entry.fastestLap = false;
+    }
+    applied[idx] = [...driverEntries.slice(0, round), entry];
+  });
+  return applied;
+}
+
+// Outcome Grid
+
+/**
+ * Key of one combination in a champion map: the contenders' places, joined
+ * with commas, and the fastest-lap holder. A holder outside the top 10
+ * scores no bonus, so it counts as nobody.
+ */
+function championKey(ids, positions, fastestLap) {
+  const holder = ids.indexOf(fastestLap);
+  const scores = holder !== -1 && positions[holder] <= FASTEST_LAP_PLACES;
+  return `${positions.join(",")}|${scores ? fastestLap : ""}`;
+}
+
+/**
+ * Works out the champion of every combination of the contenders' places in
+ * the final race, from findWinningScenarios() run once per contender; a
+ * combination nobody wins outright is a tie.
+ * @param {Array} drivers - Standings going into the final race
+ * @param {Object} [round] - Final round settings (as in REMAINING_ROUNDS)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the share of the search done so far (0..1)
+ * @param {Function} [options.onScenarios] - Called with each contender's id
+ *   and winning scenarios, as findWinningScenarios() returns them
+ * @returns {Object} { ids, champions, fastestLapBonus } where ids lists the
+ *   contenders, best placed first, and champions maps their places in that
+ *   order and the fastest-lap holder (e.g. "1,3,11|" or, with the bonus to
+ *   Norris, "1,3,11|norris") to the champion's id
+ */
+export function mapChampions(drivers = BASE_DRIVERS, round = {}, options = {}) {
+  const contenders = getContenders(drivers, [round]);
+  const ids = contenders.map((d) => d.id);
+  const champions = new Map();
+  const { onProgress, onScenarios } = options;
+  contenders.forEach((driver, n) => {
+    const searchOptions = onProgress && {
+      onProgress: (done) => onProgress((n + done) / contenders.length),
+    };
+    const scenarios = findWinningScenarios(
+      driver.id,
+      drivers,
+      round,
+      searchOptions
+    );
+    scenarios.forEach((sc) => {
+      champions.set(
+        championKey(
+          ids,
+          ids.map((id) => sc[id + "Pos"]),
+          sc.fastestLap
+        ),
+        driver.id
+      );
+    });
+    if (onScenarios) onScenarios(driver.id, scenarios);
+  });
+  return { ids, champions, fastestLapBonus: Boolean(round.fastestLapBonus) };
+}
+
+/**
+ * Lays the title outcome out as a grid of the target's place against one
+ * rival's, with every other contender held in a given place (one slice of
+ * the full enumeration).
+ * @param {Object} championMap - Output of mapChampions()
+ * @param {string} targetId
+ * @param {string} rivalId
+ * @param {Object} [slice] - Place of every other contender, by id (missing
+ *   ones are out of the points)
+ * @param {string|null} [fastestLap] - Contender with the fastest-lap bonus,
+ *   null for nobody in contention
+ * @returns {Array} One row per rival place, P1 first: { rivalPos, cells }
+ *   where cells has one { targetPos, champion, impossible } per target
+ *   place. champion is the champion's id, or null for a tie; impossible
+ *   marks two cars in the same scoring place.
+ */
+export function buildOutcomeGrid(
+  { ids, champions },
+  targetId,
+  rivalId,
+  slice = {},
+  fastestLap = null
+) {
+  const noPointsPos = getNoPointsPosition();
+  const places = [];
+  for (let pos = 1; pos <= noPointsPos; pos++) places.push(pos);
+
+  return places.map((rivalPos) => ({
+    rivalPos,
+    cells: places.map((targetPos) => {
+      const positions = ids.map((id) => {
+        if (id === targetId) return targetPos;
+        if (id === rivalId) return rivalPos;
+        return slice[id] || noPointsPos;
+      });
+      const scoring = positions.filter((pos) => pos < noPointsPos);
+      if (new Set(scoring).size !== scoring.length) {
+        return { targetPos, champion: null, impossible: true };
+      }
+      return {
+        targetPos,
+        champion:
+          champions.get(championKey(ids, positions, fastestLap)) || null,
+        impossible: false,
+      };
+    }),
+  }));
+}
+
+// Team Orders
+
+/**
+ * Finds the race situations where a team order decides the Drivers' title:
+ * two teammates run nose to tail (neighbouring places, or the last scoring
+ * place and out of the points), and swapping them changes who is champion.
+ * At least one of the two must still be able to win; the other may be out
+ * of contention and only move aside (or hold a rival up). Cars further apart
+ * are left alone, as a team can't order its way past other cars.
+ *
+ * The champion of every combination comes from mapChampions(). Where the
+ * round pays the fastest-lap bonus, the driver who sets the lap keeps it
+ * through the swap (and loses the bonus if the swap drops them out of the
+ * top 10).
+ *
+ * @param {string} teamName
+ * @param {Array} drivers - Standings going into the final race
+ * @param {Object} [round] - Final round settings (as in REMAINING_ROUNDS)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the share of the search done so far (0..1)
+ * @returns {Array} Situations, front place first: { ahead, behind, aheadPos,
+ *   behindPos, asRun, swapped, conditions } where ahead and behind are the
+ *   teammates' ids as they run, asRun and swapped the champion's id (null
+ *   for a tie) and conditions the contenders' results, as in groupScenarios()
+ */
+export function findTeamOrderScenarios(
+  teamName,
+  drivers = BASE_DRIVERS,
+  round = {},
+  options = {}
+) {
+  const contenders = getContenders(drivers, [round]);
+  const ids = contenders.map((d) => d.id);
+  const team = drivers.filter((d) => d.team === teamName).map((d) => d.id);
+
+  const pairs = [];
+  team.forEach((a, i) =>
+    team.slice(i + 1).forEach((b) => {
+      if (ids.includes(a) || ids.includes(b)) pairs.push([a, b]);
+    })
+  );
+  if (pairs.length === 0) return [];
+
+  // Progress is counted per contender search, then per pair
+  const { onProgress } = options;
+  const steps = ids.length + pairs.length;
+  const report = (done) => onProgress && onProgress(done / steps);
+
+  const { champions } = mapChampions(drivers, round, {
+    onProgress: onProgress && ((done) => report(done * ids.length)),
+  });
+  const championOf = (positions, fastestLap) =>
+    champions.get(
+      championKey(ids, positions.slice(0, ids.length), fastestLap)
+    ) || null;
+  const holders = round.fastestLapBonus ? [null, ...ids] : [null];
+
+  const situations = new Map();
+  pairs.forEach(([a, b], p) => {
+    // A teammate out of contention is placed too, after the contenders
+    const cars = [...ids, ...[a, b].filter((id) => !ids.includes(id))];
+    const [ia, ib] = [cars.indexOf(a), cars.indexOf(b)];
+
+    forEachCombination(cars.length, (positions) => {
+      const [front, back] = positions[ia] < positions[ib] ? [ia, ib] : [ib, ia];
+      if (positions[back] !== positions[front] + 1) return;
+      const swappedPositions = [...positions];
+      swappedPositions[front] = positions[back];
+      swappedPositions[back] = positions[front];
+
+      holders.forEach((fastestLap) => {
+        // A holder outside the top 10 is the same as nobody
+        const holder = ids.indexOf(fastestLap);
+        if (holder !== -1 && positions[holder] > FASTEST_LAP_PLACES) return;
+
+        const asRun = championOf(positions, fastestLap);
+        const swapped = championOf(swappedPositions, fastestLap);
+        if (asRun === swapped) return;
+
+        const key = [
+          cars[front],
+          positions[front],
+          cars[back],
+          asRun,
+          swapped,
+        ].join("|");
+        if (!situations.has(key)) {
+          situations.set(key, {
+            ahead: cars[front],
+            behind: cars[back],
+            aheadPos: positions[front],
+            behindPos: positions[back],
+            asRun,
+            swapped,
+            scenarios: [],
+          });
+        }
+        const scenario = {};
+        cars.forEach((id, i) => {
+          scenario[id + "Pos"] = positions[i];
+        });
+        if (round.fastestLapBonus) scenario.fastestLap = fastestLap;
+        situations.get(key).scenarios.push(scenario);
+      });
+    });
+    report(ids.length + p + 1);
+  });
+
+  return [...situations.values()]
+    .sort(
+      (x, y) =>
+        x.aheadPos - y.aheadPos ||
+        team.indexOf(x.ahead) - team.indexOf(y.ahead) ||
+        team.indexOf(x.behind) - team.indexOf(y.behind)
+    )
+    .map(({ scenarios, ...situation }) => {
+      const otherIds = ids.filter(
+        (id) => id !== situation.ahead && id !== situation.behind
+      );
+      // Only a contender's fastest lap changes anything
+      const placed = [situation.ahead, situation.behind].filter(
+        (id, i) =>
+          ids.includes(id) &&
+          [situation.aheadPos, situation.behindPos][i] <= FASTEST_LAP_PLACES
+      );
+      const conditions = summarizeByFastestLap(
+        scenarios,
+        otherIds,
+        [situation.aheadPos, situation.behindPos],
+        {
+          holders: [...placed, ...otherIds],
+          anyResult: "Whatever the rest of the field does",
+        }
+      );
+      return { ...situation, conditions };
+    });
+}
+
+// Constructors' Championship
+
+/**
+ * Lists the teams that can still win the Constructors' Championship in the
+ * final race: their total plus the best result their cars can score must
+ * reach the leader's current total (level teams go to countback).
+ * @param {Array} drivers - Standings going into the race
+ * @param {Object} [round] - Final round settings (as in REMAINING_ROUNDS)
+ * @returns {Array<string>} Team names, best placed first
+ */
+export function getConstructorContenders(drivers = BASE_DRIVERS, round = {}) {
+  const { race, sprint } = getScoringSystem();
+  const teams = sortStandings(
+    calculateConstructorStandings(
+      drivers.map((d) => calculateDriverResult(d, null))
+    )
+  );
+  const leaderPoints = teams[0].finalPoints;
+  // Best case: the team's cars take P1, P2, ...
+  const best = (table, cars) =>
+    table.slice(1, cars + 1).reduce((sum, pts) => sum + pts, 0);
+
+  return teams
+    .filter((team) => {
+      const cars = team.drivers.length;
+      let maxRacePoints =
+        best(race, cars) + (round.fastestLapBonus ? FASTEST_LAP_POINTS : 0);
+      if (round.halfPoints) maxRacePoints /= 2;
+      if (round.sprint && sprint) maxRacePoints += best(sprint, cars);
+      return team.finalPoints + maxRacePoints >= leaderPoints;
+    })
+    .map((team) => team.name);
+}
+
+/**
+ * Generates every final-race combination for the cars of the teams still in
+ * contention and returns the ones where the target team wins the title.
+ *
+ * Like findWinningScenarios(), the search places the target team's cars
+ * first and then each rival team's, and bounds every partial combination on
+ * the team totals: a branch is dropped once a rival team is sure to finish
+ * ahead, and listed without being scored once no rival team can reach the
+ * target's total. The fastest-lap bonus, where the round pays it, goes to a
+ * team with a car in the top 10 or to nobody in contention.
+ *
+ * @param {string} teamName - e.g. 'McLaren'
+ * @param {Array} drivers - Standings going into the race
+ * @param {Object} [round] - Final round settings (as in REMAINING_ROUNDS)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the share of the search done so far (0..1)
+ * @returns {Array} Winning scenarios, keyed `${id}Pos` for each car of a
+ *   contending team, plus `fastestLap` (the team with the bonus, or null)
+ *   where the round pays it
+ * @throws {Error} When the round can't be searched (see checkFinalRound())
+ */
+export function findConstructorScenarios(
+  teamName,
+  drivers = BASE_DRIVERS,
+  round = {},
+  options = {}
+) {
+  checkFinalRound(round);
+  const contendingTeams = getConstructorContenders(drivers, round);
+  if (!contendingTeams.includes(teamName)) return [];
+
+  // Teams that can't catch the leader don't change who wins, so only the
+  // contending teams' cars are placed: the target team's first
+  const teams = [
+    teamName,
+    ...contendingTeams.filter((name) => name !== teamName),
+  ].map((name) => {
+    const cars = drivers.filter((d) => d.team === name);
+    return {
+      name,
+      cars,
+      points: cars.reduce((sum, d) => sum + d.points, 0),
+    };
+  });
+  const racing = teams.flatMap((team) => team.cars);
+  const teamOf = racing.map((d) => teams.findIndex((t) => t.name === d.team));
+  const targetCars = teams[0].cars.length;
+
+  const noPointsPos = getNoPointsPosition();
+  const { race } = getScoringSystem();
+  const scale = round.halfPoints ? 0.5 : 1;
+  const bonus = FASTEST_LAP_POINTS * scale;
+  const pointsFor = (pos) => (pos < noPointsPos ? race[pos] * scale : 0);
+
+  const positions = new Array(racing.length);
+  const taken = new Set();
+  const winningScenarios = [];
+  const { onProgress } = options;
+  // Index in `teams` of the fastest-lap holder, -1 for nobody in contention
+  const holders = round.fastestLapBonus ? [-1, ...teams.keys()] : [-1];
+  let holder = -1;
+
+  // The holder's first car in the top 10 among the first `placed`, or -1
+  const bonusCar = (placed) =>
+    positions.findIndex(
+      (pos, i) =>
+        i < placed && teamOf[i] === holder && pos <= FASTEST_LAP_PLACES
+    );
+
+  // A team's points from its cars placed so far
+  function teamPoints(t, placed) {
+    let points = teams[t].points;
+    for (let i = 0; i < placed; i++) {
+      if (teamOf[i] === t) points += pointsFor(positions[i]);
+    }
+    if (t === holder && bonusCar(placed) !== -1) points += bonus;
+    return points;
+  }
+
+  function record() {
+    const scenario = {};
+    racing.forEach((driver, i) => {
+      scenario[driver.id + "Pos"] = positions[i];
     });
+    if (round.fastestLapBonus) {
+      scenario.fastestLap = holder === -1 ? null : teams[holder].name;
+    }
+    winningScenarios.push(scenario);
+  }
+
+  // "lose", "win" or null (undecided) for the first `placed` cars
+  function bound(placed) {
+    const targetPoints = teamPoints(0, placed);
+    let undecided = false;
+
+    // The best the unplaced cars can still score, by how many there are
+    const free = [];
+    for (let pos = 1; pos < noPointsPos; pos++) {
+      if (!taken.has(pos)) free.push(pointsFor(pos));
+    }
+    const bestFree = (cars) =>
+      free.slice(0, cars).reduce((sum, pts) => sum + pts, 0);
+
+    for (let t = 1; t < teams.length; t++) {
+      const points = teamPoints(t, placed);
+      if (points > targetPoints) return "lose";
+      let unplaced = 0;
+      for (let i = placed; i < racing.length; i++) {
+        if (teamOf[i] === t) unplaced++;
+      }
+      const best =
+        points +
+        bestFree(unplaced) +
+        (t === holder && unplaced > 0 && bonusCar(placed) === -1 ? bonus : 0);
+      if (best >= targetPoints) undecided = true;
+    }
+
+    return undecided ? null : "win";
+  }
+
+  function isWin() {
+    const flCar = bonusCar(racing.length);
+    const results = racing.map((driver, i) =>
+      calculateDriverResult(
+        driver,
+        positions[i] < noPointsPos ? positions[i] : null,
+        { fastestLap: i === flCar, halfPoints: round.halfPoints }
+      )
+    );
+    const { champion, isTie } = determineChampion(
+      sortStandings(calculateConstructorStandings(results))
+    );
+    return champion.name === teamName && !isTie;
+  }
+
+  // Progress is counted over the holders and the first two cars' places
+  function report(done) {
+    const run = holders.indexOf(holder);
+    onProgress((run + done) / holders.length);
+  }
+
+  function place(i, decided) {
+    // The target's total is only known once all its cars are placed
+    if (i >= targetCars && !decided) {
+      const verdict = bound(i);
+      if (verdict === "lose") return;
+      if (verdict === "win") decided = true;
+    }
+    if (i === racing.length) {
+      // A holder without a car in the top 10 is the "nobody" run
+      if (holder !== -1 && bonusCar(i) === -1) return;
+      if (decided || isWin()) record();
+      return;
+    }
+    for (let pos = 1; pos <= noPointsPos; pos++) {
+      if (pos < noPointsPos && taken.has(pos)) continue;
+      positions[i] = pos;
+      if (pos < noPointsPos) taken.add(pos);
+      place(i + 1, decided);
+      taken.delete(pos);
+      if (onProgress && i < 2) {
+        const done =
+          i === 0 ? pos * noPointsPos : (positions[0] - 1) * noPointsPos + pos;
+        report(done / (noPointsPos * noPointsPos));
+      }
+    }
+  }
+
+  holders.forEach((t) => {
+    holder = t;
+    place(0, false);
   });
 
-  // Now construct string
-  const parts = otherIds.map((id) => {
-    const mp = minPos[id];
-    const mpStr = mp > 10 ? "No Points" : "P" + mp;
-    const name = id.charAt(0).toUpperCase() + id.slice(1);
-    return `${name} finishes ${mpStr} or lower`;
+  return winningScenarios;
+}
+
+// "P1 and P3", "P2 and No Points", "No Points"
+function describePlaces(places, noPointsPos) {
+  const named = places.map((pos) => describeRange([pos, pos], noPointsPos));
+  if (named.every((name) => name === "No Points")) return "No Points";
+  return named.join(" and ");
+}
+
+/**
+ * Groups constructor scenarios by the places of the target team's cars
+ * (whichever car takes which), then summarises the rival teams' cars for
+ * each as mutually exclusive conditions, exactly as groupScenarios() does
+ * for a driver (see summarizeConstraints). Where the round pays the
+ * fastest-lap bonus, the conditions are also split by the team that takes
+ * it.
+ * A team with no rivals left has already clinched and gets a single group.
+ *
+ * @param {string} teamName
+ * @param {Array} scenarios - Output of findConstructorScenarios()
+ * @param {Array} drivers - Standings the scenarios were found for
+ * @returns {Array} [{ title, conditions }] with conditions as in
+ *   groupScenarios()
+ */
+export function groupConstructorScenarios(
+  teamName,
+  scenarios,
+  drivers = BASE_DRIVERS
+) {
+  const ids = getScenarioIds(scenarios[0]);
+  const teamOf = (id) => drivers.find((d) => d.id === id).team;
+  const targetIds = ids.filter((id) => teamOf(id) === teamName);
+  const otherIds = ids.filter((id) => teamOf(id) !== teamName);
+
+  if (otherIds.length === 0) {
+    const text = "No other team can reach their points total.";
+    return [
+      {
+        title: `${teamName} have already clinched the title`,
+        conditions: [{ text, ranges: {}, scenarios }],
+      },
+    ];
+  }
+
+  const noPointsPos = getNoPointsPosition();
+  const byPlaces = new Map();
+  scenarios.forEach((sc) => {
+    const key = targetIds
+      .map((id) => sc[id + "Pos"])
+      .sort((a, b) => a - b)
+      .join(",");
+    if (!byPlaces.has(key)) byPlaces.set(key, []);
+    byPlaces.get(key).push(sc);
   });
 
-  return parts.join(" AND <br>");
+  const rivalTeams = [...new Set(otherIds.map(teamOf))];
+  return [...byPlaces.entries()]
+    .map(([key, group]) => [key.split(",").map(Number), group])
+    .sort(([a], [b]) => {
+      const i = a.findIndex((pos, n) => pos !== b[n]);
+      return i === -1 ? 0 : a[i] - b[i];
+    })
+    .map(([places, group]) => {
+      const holders = [
+        ...(places.some((pos) => pos <= FASTEST_LAP_PLACES) ? [teamName] : []),
+        ...rivalTeams,
+      ];
+      const conditions = summarizeByFastestLap(group, otherIds, places, {
+        holders,
+        carsOf: (team) => otherIds.filter((id) => teamOf(id) === team),
+      });
+      return {
+        title: `If ${teamName} finish ${describePlaces(places, noPointsPos)}`,
+        conditions,
+      };
+    });
+}
+
+// Strategy Room
+
+/**
+ * Runs one Strategy Room search: what worker.js does off the page, and the
+ * page itself does where workers aren't available.
+ * @param {Object} request
+ * @param {string} request.kind - "driver", "constructor" or "teamOrders"
+ * @param {string} request.target - Driver id or team name
+ * @param {Array} request.drivers - Standings going into the final race
+ * @param {Object} request.round - Final round settings
+ * @param {Function} [onProgress] - As in findWinningScenarios()
+ * @returns {Object} { groups } as in groupScenarios() or
+ *   groupConstructorScenarios() (empty when the target can't win), or for
+ *   team orders { situations } as in findTeamOrderScenarios(). A driver's
+ *   search also returns the heatmap's championMap, as in mapChampions()
+ * @throws {Error} When the round can't be searched
+ */
+export function runStrategySearch(
+  { kind, target, drivers, round },
+  onProgress
+) {
+  if (kind === "teamOrders") {
+    return {
+      situations: findTeamOrderScenarios(target, drivers, round, {
+        onProgress,
+      }),
+    };
+  }
+
+  if (kind === "constructor") {
+    const scenarios = findConstructorScenarios(target, drivers, round, {
+      onProgress,
+    });
+    return {
+      groups: scenarios.length
+        ? groupConstructorScenarios(target, scenarios, drivers)
+        : [],
+    };
+  }
+
+  // The heatmap needs every contender's search, the target's among them
+  let scenarios = [];
+  const championMap = mapChampions(drivers, round, {
+    onProgress,
+    onScenarios: (id, found) => {
+      if (id === target) scenarios = found;
+    },
+  });
+  return {
+    groups: scenarios.length ? groupScenarios(target, scenarios) : [],
+    championMap,
+  };
 }
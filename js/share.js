@@ -0,0 +1,214 @@
+// Reads and writes the simulator state in the URL hash so a scenario can be
+// shared as a link, e.g.
+// #season=2021&scoring=2010+&rounds=s,f&r1=norris.1,piastri.dnf&s1=norris.3&fl1=norris&driver=norris
+// Penalties use pen1=norris.t2 (time, 2 places), pen1=norris.dsq and
+// pen1=norris.p10 (10 points deducted); a driver with several penalties is
+// listed once per penalty, in the order they apply.
+
+import { GRID_SIZE, RESULT_STATUSES } from "./data.js";
+
+// More rounds than this in a link is treated as a mistake
+export const MAX_SHARED_ROUNDS = 24;
+
+const ROUND_FLAGS = { s: "sprint", f: "fastestLapBonus", h: "halfPoints" };
+const PENALTY_CODES = { time: "t", points: "p" };
+
+/**
+ * Builds the hash (without "#") for the given state.
+ * @param {Object} state
+ * @param {string} [state.season] - Id of the season in SEASONS
+ * @param {Object} state.scoring - The points system in use ({ id, race, sprint })
+ * @param {Array} state.rounds - Round settings ({ sprint, fastestLapBonus, halfPoints })
+ * @param {Object} state.entries - Driver id -> round entries ({ pos, sprintPos, fastestLap, status, penalties })
+ * @param {Object} [state.strategy] - { driver }, { team } or { orders } (a team
+ *   name) selected in the Strategy Room
+ * @returns {string}
+ */
+export function encodeState({ season, scoring, rounds, entries, strategy }) {
+  const params = new URLSearchParams();
+
+  if (season) params.set("season", season);
+  params.set("scoring", scoring.id);
+  if (scoring.id === "custom") {
+    params.set("race", scoring.race.slice(1).join("-"));
+    if (scoring.sprint) params.set("sprint", scoring.sprint.slice(1).join("-"));
+  }
+
+  params.set(
+    "rounds",
+    rounds
+      .map(
+        (round) =>
+          Object.keys(ROUND_FLAGS)
+            .filter((flag) => round[ROUND_FLAGS[flag]])
+            .join("") || "-"
+      )
+      .join(",")
+  );
+
+  rounds.forEach((_, r) => {
+    const gp = [];
+    const sprint = [];
+    const penalties = [];
+    let fastestLap = null;
+    Object.entries(entries).forEach(([id, driverEntries]) => {
+      const entry = driverEntries[r];
+      if (!entry) return;
+      if (entry.status && entry.status !== "finished") {
+        gp.push(`${id}.${entry.status}`);
+      } else if (entry.pos != null) {
+        gp.push(`${id}.${entry.pos}`);
+      }
+      if (entry.sprintPos != null) sprint.push(`${id}.${entry.sprintPos}`);
+      if (entry.fastestLap) fastestLap = id;
+      (entry.penalties || []).forEach(({ type, amount }) => {
+        if (type === "dsq") penalties.push(`${id}.dsq`);
+        else penalties.push(`${id}.${PENALTY_CODES[type]}${amount}`);
+      });
+    });
+    if (gp.length) params.set(`r${r + 1}`, gp.join(","));
+    if (sprint.length) params.set(`s${r + 1}`, sprint.join(","));
+    if (fastestLap) params.set(`fl${r + 1}`, fastestLap);
+    if (penalties.length) params.set(`pen${r + 1}`, penalties.join(","));
+  });
+
+  if (strategy && strategy.driver) params.set("driver", strategy.driver);
+  if (strategy && strategy.team) params.set("team", strategy.team);
+  if (strategy && strategy.orders) params.set("orders", strategy.orders);
+
+  return params.toString();
+}
+
+/**
+ * Reads the season from a hash. It decides which standings the rest of the
+ * hash refers to, so it is read on its own before decodeState().
+ * @param {string} hash - location.hash, with or without "#"
+ * @param {Object} seasons - SEASONS
+ * @returns {string|null} A known season id, or null
+ */
+export function decodeSeason(hash, seasons) {
+  const id = new URLSearchParams(hash.replace(/^#/, "")).get("season");
+  return Object.prototype.hasOwnProperty.call(seasons, id) ? id : null;
+}
+
+// "25-18-15" -> [0, 25, 18, 15], or null when it is not a points list
+function readPointsTable(text) {
+  if (!text) return null;
+  const values = text.split("-").map((v) => (v === "" ? NaN : Number(v)));
+  if (values.some((v) => !isFinite(v) || v < 0)) return null;
+  return [0, ...values];
+}
+
+/**
+ * Reads a state back from a hash. Anything unknown or invalid (drivers that
+ * are not in the standings, positions out of range or already taken, broken
+ * points tables) is dropped rather than trusted.
+ * @param {string} hash - location.hash, with or without "#"
+ * @param {Object} context
+ * @param {Array} context.drivers - Current standings (for the driver ids)
+ * @param {Object} context.scoringSystems - SCORING_SYSTEMS
+ * @returns {Object|null} { scoring, rounds, entries, strategy }, or null for an empty hash
+ */
+export function decodeState(hash, { drivers, scoringSystems }) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  if (![...params.keys()].length) return null;
+
+  // Points system: a known preset, a valid custom table or nothing
+  let scoring = null;
+  const scoringId = params.get("scoring");
+  if (scoringId === "custom") {
+    const race = readPointsTable(params.get("race"));
+    const sprint = readPointsTable(params.get("sprint"));
+    if (race && race.length >= 2) {
+      scoring = { id: "custom", name: "Custom", race, sprint };
+    }
+  } else if (Object.prototype.hasOwnProperty.call(scoringSystems, scoringId)) {
+    scoring = scoringSystems[scoringId];
+  }
+
+  const roundFlags = (params.get("rounds") || "")
+    .split(",")
+    .filter((flags) => flags !== "")
+    .slice(0, MAX_SHARED_ROUNDS);
+  const rounds = roundFlags.map((flags) => {
+    const round = { sprint: false, fastestLapBonus: false, halfPoints: false };
+    [...flags].forEach((flag) => {
+      if (ROUND_FLAGS[flag]) round[ROUND_FLAGS[flag]] = true;
+    });
+    return round;
+  });
+
+  const knownIds = new Set(drivers.map((driver) => driver.id));
+  const entries = {};
+  const entryFor = (id, r) => {
+    if (!entries[id]) {
+      entries[id] = rounds.map(() => ({
+        pos: null,
+        sprintPos: null,
+        fastestLap: false,
+        status: "finished",
+        penalties: [],
+      }));
+    }
+    return entries[id][r];
+  };
+
+  // "norris.1,piastri.dnf" -> each known driver gets one free place on the
+  // grid, or (Grand Prix only) a status other than finished
+  const readPositions = (text, r, field) => {
+    const taken = new Set();
+    (text || "").split(",").forEach((pair) => {
+      const [id, value] = pair.split(".");
+      if (!knownIds.has(id)) return;
+      const entry = entryFor(id, r);
+      if (entry[field] != null) return;
+      // A Grand Prix status leaves the sprint result as it is
+      if (field === "pos" && entry.status !== "finished") return;
+
+      if (field === "pos" && value !== "finished" && RESULT_STATUSES[value]) {
+        entry.status = value;
+        return;
+      }
+      const pos = Number(value);
+      if (!Number.isInteger(pos) || pos < 1 || pos > GRID_SIZE) return;
+      if (taken.has(pos)) return;
+      taken.add(pos);
+      entry[field] = pos;
+    });
+  };
+
+  rounds.forEach((round, r) => {
+    readPositions(params.get(`r${r + 1}`), r, "pos");
+    if (round.sprint) readPositions(params.get(`s${r + 1}`), r, "sprintPos");
+    (params.get(`pen${r + 1}`) || "").split(",").forEach((pair) => {
+      const [id, code] = pair.split(".");
+      if (!knownIds.has(id) || !code) return;
+      if (code === "dsq") {
+        entryFor(id, r).penalties.push({ type: "dsq", amount: 0 });
+        return;
+      }
+      const type = Object.keys(PENALTY_CODES).find(
+        (key) => PENALTY_CODES[key] === code.charAt(0)
+      );
+      const amount = Number(code.slice(1));
+      if (type && Number.isFinite(amount) && amount >= 0) {
+        entryFor(id, r).penalties.push({ type, amount });
+      }
+    });
+    const fastestLap = params.get(`fl${r + 1}`);
+    if (round.fastestLapBonus && knownIds.has(fastestLap)) {
+      entryFor(fastestLap, r).fastestLap = true;
+    }
+  });
+
+  let strategy = null;
+  if (knownIds.has(params.get("driver"))) {
+    strategy = { driver: params.get("driver") };
+  } else if (params.get("team")) {
+    strategy = { team: params.get("team") };
+  } else if (params.get("orders")) {
+    strategy = { orders: params.get("orders") };
+  }
+
+  return { scoring, rounds, entries, strategy };
+}
@@ -0,0 +1,37 @@
+// Runs the Strategy Room searches off the main thread so the page stays
+// responsive. Started by app.js as a module worker; one message per search:
+//   in:  { id, kind, target, drivers, scoring, round } (as in
+//        runStrategySearch, plus the points system)
+//   out: { id, type: "progress", done } with done in 0..1, then
+//        { id, type: "result", ...result } with the groups (and for a
+//        driver the heatmap's championMap) or situations runStrategySearch
+//        returns, or
+//        { id, type: "error", message } when the round can't be searched
+// A search is cancelled by terminating the worker.
+
+import { setScoringSystem } from "./engine.js";
+import { runStrategySearch } from "./scenarios.js";
+
+// Progress is only posted when it moves by at least this much
+const PROGRESS_STEP = 0.01;
+
+self.addEventListener("message", (e) => {
+  const { id, scoring } = e.data;
+  // The scoring system is module state, so each worker needs its own copy
+  setScoringSystem(scoring);
+
+  let reported = 0;
+  let result;
+  try {
+    result = runStrategySearch(e.data, (done) => {
+      if (done - reported < PROGRESS_STEP) return;
+      reported = done;
+      self.postMessage({ id, type: "progress", done });
+    });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+    return;
+  }
+
+  self.postMessage({ id, type: "result", ...result });
+});
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// Stand-in live timing server for trying the page's live mode without a real
+// feed. Plays a recorded feed (see js/live.js) to every client, one update
+// per interval, over Server-Sent Events and WebSocket:
+//
+//   node live-server.mjs samples/live-feed.json
+//   node live-server.mjs samples/live-feed.json --port 9000 --interval 500 --loop
+//
+// Then connect the page to http://localhost:8787/events (SSE) or
+// ws://localhost:8787 (WebSocket).
+
+import { createServer } from "http";
+import { createHash } from "crypto";
+import { readFileSync } from "fs";
+
+const USAGE = `Usage:
+  node live-server.mjs <feed.json> [options]
+
+Options:
+  --port <number>      Port to listen on (default 8787)
+  --interval <ms>      Time between updates (default: the feed's interval, or 1000)
+  --loop               Start the feed again after the last update
+  --help               Show this message`;
+
+// Fixed key suffix of the WebSocket handshake (RFC 6455)
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+function parseArgs(argv) {
+  const options = { port: 8787, interval: null, loop: false, help: false };
+  const args = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--loop") options.loop = true;
+    else if (arg === "--help" || arg === "-h") options.help = true;
+    else if (arg === "--port" || arg === "--interval") {
+      const value = Number(argv[++i]);
+      if (!(value > 0)) throw new Error(`${arg} needs a number above 0.`);
+      options[arg.slice(2)] = value;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option "${arg}".`);
+    } else {
+      args.push(arg);
+    }
+  }
+
+  return { file: args[0], options };
+}
+
+// Only the layout is checked here; the page checks the driver ids
+function loadFeed(file) {
+  const data = JSON.parse(readFileSync(file, "utf8"));
+  const updates = Array.isArray(data) ? data : data && data.updates;
+  if (!Array.isArray(updates) || updates.length === 0) {
+    throw new Error(`${file}: expected a list of updates.`);
+  }
+  return { updates, interval: (!Array.isArray(data) && data.interval) || 1000 };
+}
+
+/**
+ * Sends the feed to one client.
+ * @param {Array} updates
+ * @param {Object} timing - { interval, loop }
+ * @param {Function} send - Called with each update as JSON text
+ * @param {Function} end - Called after the last update (never with loop)
+ * @returns {Function} Stops sending
+ */
+function playFeed(updates, { interval, loop }, send, end) {
+  let next = 0;
+  const timer = setInterval(() => {
+    send(JSON.stringify(updates[next]));
+    next++;
+    if (next < updates.length) return;
+    if (loop) {
+      next = 0;
+    } else {
+      clearInterval(timer);
+      end();
+    }
+  }, interval);
+  return () => clearInterval(timer);
+}
+
+// A single unmasked text frame; servers never mask what they send
+function textFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt8(0x81, 0);
+    header.writeUInt8(126, 1);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header.writeUInt8(0x81, 0);
+    header.writeUInt8(127, 1);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function main(argv) {
+  const { file, options } = parseArgs(argv);
+  if (options.help || !file) {
+    console.log(USAGE);
+    return;
+  }
+
+  const feed = loadFeed(file);
+  const timing = {
+    interval: options.interval || feed.interval,
+    loop: options.loop,
+  };
+
+  const server = createServer((req, res) => {
+    if (req.url !== "/events") {
+      res.writeHead(404, { "Access-Control-Allow-Origin": "*" });
+      res.end("Live updates are at /events (SSE) or over WebSocket.\n");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+    });
+    // The "end" event tells the page not to reconnect and start over
+    const stop = playFeed(
+      feed.updates,
+      timing,
+      (json) => res.write(`data: ${json}\n\n`),
+      () => res.end("event: end\ndata: {}\n\n")
+    );
+    req.on("close", stop);
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    if (!key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    const accept = createHash("sha1")
+      .update(key + WEBSOCKET_GUID)
+      .digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    const stop = playFeed(
+      feed.updates,
+      timing,
+      (json) => socket.write(textFrame(json)),
+      // Close frame with no status
+      () => socket.end(Buffer.from([0x88, 0]))
+    );
+    socket.on("close", stop);
+    socket.on("error", stop);
+  });
+
+  server.listen(options.port, () => {
+    console.log(
+      `Playing ${file} (${feed.updates.length} updates, one every ${timing.interval} ms):\n` +
+        `  SSE:       http://localhost:${options.port}/events\n` +
+        `  WebSocket: ws://localhost:${options.port}`
+    );
+  });
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+}
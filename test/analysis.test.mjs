@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyseChampionship } from "../js/analysis.js";
+import { BASE_DRIVERS, REMAINING_ROUNDS } from "../js/data.js";
+
+const worstPositionOf = (drivers, rounds, id) =>
+  analyseChampionship(drivers, rounds).find((row) => row.driver.id === id)
+    .worstPosition;
+
+test("the leader can still drop to third in the 2025 finale", () => {
+  // Verstappen wins (421), Piastri is second (410), Norris retires on 408
+  assert.equal(worstPositionOf(BASE_DRIVERS, REMAINING_ROUNDS, "norris"), 3);
+});
+
+test("a rival who can only draw level passes on the countback", () => {
+  const round = { sprint: false, fastestLapBonus: false, halfPoints: false };
+  const leader = { id: "a", name: "A", team: "X", points: 25, wins: 0 };
+  const rival = { id: "b", name: "B", team: "Y", points: 0, wins: 0 };
+
+  // A win takes the rival level on 25 and ahead on wins
+  const onPodium = { ...leader, finishes: [0, 0, 1] };
+  assert.equal(worstPositionOf([onPodium, rival], [round], "a"), 2);
+
+  // Level on points and on every countback place: still behind the leader
+  const winner = { ...leader, wins: 1, finishes: [1] };
+  assert.equal(worstPositionOf([winner, rival], [round], "a"), 1);
+});
+
+test("the worst positions are worked out in time for three rounds", () => {
+  // With three Grand Prix left, Hadjar's worst position took 25 seconds
+  const round = { sprint: false, fastestLapBonus: false, halfPoints: false };
+  const start = Date.now();
+  const rows = analyseChampionship(BASE_DRIVERS, [round, round, round]);
+  assert.ok(Date.now() - start < 5000);
+
+  const hadjar = rows.find((row) => row.driver.id === "hadjar");
+  assert.equal(hadjar.worstPosition, 21);
+  assert.ok(hadjar.worstPositionSettled);
+  // Rows Championship Numbers leave out are not searched
+  assert.equal(
+    rows.find((row) => row.driver.id === "doohan").worstPosition,
+    null
+  );
+});
+
+test("a search that gives up still bounds the worst position", () => {
+  // Hadjar's eleven pursuers need exactly the 252.5 points five
+  // half-points rounds pay between them
+  const round = { sprint: false, fastestLapBonus: false, halfPoints: true };
+  const start = Date.now();
+  const rows = analyseChampionship(BASE_DRIVERS, Array(5).fill(round));
+  assert.ok(Date.now() - start < 5000);
+
+  const hadjar = rows.find((row) => row.driver.id === "hadjar");
+  assert.equal(hadjar.worstPositionSettled, false);
+  assert.equal(hadjar.worstPosition, 20);
+});
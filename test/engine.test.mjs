@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyRoundPenalties, calculateSeasonResult } from "../js/engine.js";
+
+const driver = {
+  id: "norris",
+  name: "L. Norris",
+  team: "McLaren",
+  points: 100,
+  wins: 0,
+  podiums: 0,
+  finishes: [],
+};
+
+test("a points deduction applies to a bare-position entry", () => {
+  const official = applyRoundPenalties(
+    { norris: [1] },
+    {
+      norris: [{ round: 0, type: "points", points: 5 }],
+    }
+  );
+  assert.equal(official.norris[0].deduction, 5);
+  assert.equal(calculateSeasonResult(driver, official.norris).finalPoints, 120);
+});
+
+test("several penalties for one driver in one round all apply", () => {
+  const official = applyRoundPenalties(
+    { norris: [{ pos: 1 }], piastri: [{ pos: 2 }], russell: [{ pos: 3 }] },
+    {
+      norris: [
+        { round: 0, type: "time", places: 1 },
+        { round: 0, type: "points", points: 3 },
+        { round: 0, type: "points", points: 2 },
+      ],
+    }
+  );
+  assert.equal(official.norris[0].pos, 2);
+  assert.equal(official.piastri[0].pos, 1);
+  assert.equal(official.norris[0].deduction, 5);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runMonteCarlo } from "../js/montecarlo.js";
+
+// A always finishes 10th, B always 11th: level on points, B ahead on wins
+const drivers = [
+  { id: "a", name: "A", team: "X", points: 100, wins: 0, finishes: [0] },
+  { id: "b", name: "B", team: "Y", points: 101, wins: 1, finishes: [1] },
+];
+const distributions = {
+  a: { weights: [0, 0, 0, 0, 0, 0, 0, 0, 0, 1], dnf: 0 },
+  b: { weights: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1], dnf: 0 },
+};
+
+function run(fastestLapBonus) {
+  const result = runMonteCarlo({
+    drivers,
+    distributions,
+    rounds: [{ sprint: false, fastestLapBonus, halfPoints: false }],
+    iterations: 2000,
+    seed: 7,
+  });
+  return result.drivers.find((driver) => driver.id === "a").probability;
+}
+
+test("the fastest-lap bonus is only drawn where the round pays it", () => {
+  assert.equal(run(false), 0);
+  const withBonus = run(true);
+  // Only the 10th-placed car can take the decisive point, one run in ten
+  assert.ok(withBonus > 0.07 && withBonus < 0.13, `got ${withBonus}`);
+});
@@ -0,0 +1,220 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findWinningScenarios,
+  groupScenarios,
+  getContenders,
+  getNoPointsPosition,
+  forEachCombination,
+  getConstructorContenders,
+  findConstructorScenarios,
+  groupConstructorScenarios,
+  findTeamOrderScenarios,
+  applyScenarioToEntries,
+} from "../js/scenarios.js";
+import { SEASONS, BASE_DRIVERS, DEFAULT_SCORING_SYSTEM } from "../js/data.js";
+import {
+  setScoringSystem,
+  calculateDriverResult,
+  calculateConstructorStandings,
+  sortStandings,
+  determineChampion,
+} from "../js/engine.js";
+
+afterEach(() => setScoringSystem(DEFAULT_SCORING_SYSTEM));
+
+test("the 2021 decider counts the fastest-lap point", () => {
+  const season = SEASONS[2021];
+  setScoringSystem(season.scoring);
+  const [round] = season.rounds;
+
+  // Hamilton P9 (2 pts) against Verstappen P10 plus the fastest lap (1 + 1):
+  // both on 371.5, and Verstappen has more wins
+  const scenarios = findWinningScenarios("verstappen", season.drivers, round);
+  assert.ok(
+    scenarios.some(
+      (sc) =>
+        sc.hamiltonPos === 9 &&
+        sc.verstappenPos === 10 &&
+        sc.fastestLap === "verstappen"
+    )
+  );
+  // Without the bonus, P10 leaves him a point short
+  assert.ok(
+    !scenarios.some(
+      (sc) =>
+        sc.hamiltonPos === 9 &&
+        sc.verstappenPos === 10 &&
+        sc.fastestLap === null
+    )
+  );
+
+  const p10 = groupScenarios("verstappen", scenarios).find(
+    (group) => group.position === "P10"
+  );
+  assert.deepEqual(
+    p10.conditions.map((c) => c.fastestLap),
+    [["verstappen"], [null]]
+  );
+});
+
+test("half points shrink what is left to score", () => {
+  // Piastri is 16 points back, more than a half-points race pays
+  const ids = (round) => getContenders(BASE_DRIVERS, [round]).map((d) => d.id);
+  assert.ok(ids({}).includes("piastri"));
+  assert.ok(!ids({ halfPoints: true }).includes("piastri"));
+  assert.deepEqual(
+    findWinningScenarios("piastri", BASE_DRIVERS, { halfPoints: true }),
+    []
+  );
+});
+
+test("a final round with a sprint is refused", () => {
+  assert.throws(
+    () => findWinningScenarios("norris", BASE_DRIVERS, { sprint: true }),
+    /sprint/
+  );
+});
+
+// Two teams level on 100 points, and a third that can't catch them
+const TEAMS = [
+  { id: "a1", name: "A1", team: "A", points: 60, wins: 1, finishes: [1] },
+  { id: "a2", name: "A2", team: "A", points: 40, wins: 0, finishes: [0, 1] },
+  { id: "b1", name: "B1", team: "B", points: 55, wins: 1, finishes: [1, 1] },
+  { id: "b2", name: "B2", team: "B", points: 45, wins: 0 },
+  { id: "c1", name: "C1", team: "C", points: 1, wins: 0 },
+];
+
+// Every combination of the contending teams' cars, scored in full
+function bruteForceConstructors(teamName, drivers, round) {
+  const racing = drivers.filter((d) => d.team !== "C");
+  const noPointsPos = getNoPointsPosition();
+  const holders = round.fastestLapBonus ? [null, "A", "B"] : [null];
+  const wins = new Set();
+  forEachCombination(racing.length, (positions) => {
+    holders.forEach((holder) => {
+      const flCar = racing.findIndex(
+        (d, i) => d.team === holder && positions[i] <= 10
+      );
+      if (holder && flCar === -1) return;
+      const results = racing.map((d, i) =>
+        calculateDriverResult(
+          d,
+          positions[i] < noPointsPos ? positions[i] : null,
+          { fastestLap: i === flCar, halfPoints: round.halfPoints }
+        )
+      );
+      const { champion, isTie } = determineChampion(
+        sortStandings(calculateConstructorStandings(results))
+      );
+      if (champion.name === teamName && !isTie) {
+        wins.add(`${positions.join(",")}|${holder || ""}`);
+      }
+    });
+  });
+  return wins;
+}
+
+test("the constructors' search matches every combination", () => {
+  for (const round of [{}, { fastestLapBonus: true }, { halfPoints: true }]) {
+    assert.deepEqual(getConstructorContenders(TEAMS, round), ["A", "B"]);
+    for (const teamName of ["A", "B"]) {
+      const scenarios = findConstructorScenarios(teamName, TEAMS, round);
+      const found = new Set(
+        scenarios.map(
+          (sc) =>
+            `${["a1", "a2", "b1", "b2"].map((id) => sc[id + "Pos"])}|${
+              sc.fastestLap || ""
+            }`
+        )
+      );
+      assert.deepEqual(found, bruteForceConstructors(teamName, TEAMS, round));
+
+      // The summaries are checked against the same combinations
+      const groups = groupConstructorScenarios(teamName, scenarios, TEAMS);
+      const listed = groups.flatMap((group) =>
+        group.conditions.flatMap((condition) => condition.scenarios)
+      );
+      assert.equal(listed.length, scenarios.length);
+    }
+  }
+});
+
+test("a constructor with no rivals left has clinched", () => {
+  const drivers = TEAMS.map((d) =>
+    d.team === "A" ? { ...d, points: d.points + 50 } : d
+  );
+  const scenarios = findConstructorScenarios("A", drivers);
+  const [group] = groupConstructorScenarios("A", scenarios, drivers);
+  assert.equal(group.title, "A have already clinched the title");
+});
+
+test("a teammate out of contention can hand over the 2007 title", () => {
+  const season = SEASONS[2007];
+  setScoringSystem(season.scoring);
+  const [round] = season.rounds;
+
+  assert.ok(
+    !getContenders(season.drivers, [round]).some((d) => d.id === "massa")
+  );
+  // As it finished: Massa let Räikkönen by, Alonso 3rd and Hamilton 7th
+  const situations = findTeamOrderScenarios("Ferrari", season.drivers, round);
+  const decider = situations.find(
+    (s) => s.ahead === "massa" && s.aheadPos === 1 && s.swapped === "raikkonen"
+  );
+  assert.equal(decider.asRun, "hamilton");
+  assert.ok(
+    decider.conditions.some((c) =>
+      c.scenarios.some((sc) => sc.alonsoPos === 3 && sc.hamiltonPos === 7)
+    )
+  );
+});
+
+test("constructor conditions keep team names as plain text", () => {
+  const team = "<img src=x onerror=alert(1)>";
+  const drivers = TEAMS.map((d) => (d.team === "B" ? { ...d, team } : d));
+  const round = { fastestLapBonus: true };
+  const scenarios = findConstructorScenarios("A", drivers, round);
+  const groups = groupConstructorScenarios("A", scenarios, drivers);
+  const texts = groups.flatMap((group) =>
+    group.conditions.map((condition) => condition.text)
+  );
+
+  // The page escapes each condition, so the text carries no markup of its own
+  assert.ok(texts.some((text) => text.includes(`Fastest lap to ${team}`)));
+  assert.ok(texts.every((text) => !text.includes("<br>")));
+  groups.forEach((group) =>
+    assert.deepEqual(Object.keys(group), ["title", "conditions"])
+  );
+});
+
+test("loading a scenario clears the penalties of every car", () => {
+  const [scenario] = findWinningScenarios("norris", BASE_DRIVERS);
+  const entry = (pos) => ({
+    pos,
+    sprintPos: null,
+    fastestLap: false,
+    status: "finished",
+    penalties: [],
+  });
+  // Russell won on track but was disqualified, and Leclerc retired
+  const entries = {};
+  BASE_DRIVERS.forEach((d, idx) => (entries[idx] = [entry(null)]));
+  const russell = BASE_DRIVERS.findIndex((d) => d.id === "russell");
+  const leclerc = BASE_DRIVERS.findIndex((d) => d.id === "leclerc");
+  entries[russell] = [{ ...entry(1), penalties: [{ type: "dsq", amount: 0 }] }];
+  entries[leclerc] = [{ ...entry(null), status: "dnf" }];
+
+  const applied = applyScenarioToEntries(entries, scenario, BASE_DRIVERS);
+  Object.values(applied).forEach(([official]) => {
+    assert.equal(official.status, "finished");
+    assert.deepEqual(official.penalties, []);
+  });
+  // The contenders are classified where the card puts them
+  const noPointsPos = getNoPointsPosition();
+  getContenders(BASE_DRIVERS).forEach((d) => {
+    const pos = scenario[d.id + "Pos"];
+    const [official] = applied[BASE_DRIVERS.indexOf(d)];
+    assert.equal(official.pos, pos >= noPointsPos ? null : pos);
+  });
+});
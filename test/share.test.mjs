@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BASE_DRIVERS, SCORING_SYSTEMS } from "../js/data.js";
+import { encodeState, decodeState } from "../js/share.js";
+
+const context = { drivers: BASE_DRIVERS, scoringSystems: SCORING_SYSTEMS };
+
+test("a sprint place survives a Grand Prix DNF", () => {
+  const shared = decodeState(
+    "#scoring=2010%2B&rounds=s&r1=norris.dnf&s1=norris.1",
+    context
+  );
+  assert.equal(shared.entries.norris[0].status, "dnf");
+  assert.equal(shared.entries.norris[0].pos, null);
+  assert.equal(shared.entries.norris[0].sprintPos, 1);
+});
+
+test("entries survive a round trip through the link", () => {
+  const entries = {
+    norris: [
+      {
+        pos: null,
+        sprintPos: 2,
+        fastestLap: false,
+        status: "dsq",
+        penalties: [
+          { type: "points", amount: 5 },
+          { type: "time", amount: 2 },
+        ],
+      },
+    ],
+  };
+  const hash = encodeState({
+    scoring: SCORING_SYSTEMS["2010+"],
+    rounds: [{ sprint: true, fastestLapBonus: false, halfPoints: false }],
+    entries,
+  });
+  assert.deepEqual(decodeState(hash, context).entries, entries);
+});